@@ -45,11 +45,15 @@ const options = {
             username: { type: 'string' },
             mobileNumber: { type: 'string' },
             email: { type: 'string' },
+            emailVerified: { type: 'boolean' },
             profileImage: { type: 'string' },
             bio: { type: 'string' },
             location: { type: 'string' },
             profession: { type: 'string' },
-            isVerified: { type: 'boolean' },
+            isVerified: { type: 'boolean', description: 'Mobile number or email confirmed with an OTP' },
+            verifiedBadge: { type: 'boolean', description: 'Verified badge granted by an admin' },
+            isPrivate: { type: 'boolean' },
+            status: { type: 'string', enum: ['active', 'deactivated', 'suspended', 'banned'] },
             isOnline: { type: 'boolean' },
             followers: { type: 'array', items: { type: 'string' } },
             following: { type: 'array', items: { type: 'string' } }
@@ -71,7 +75,9 @@ const options = {
                 }
               }
             },
-            type: { type: 'string', enum: ['public', 'private', 'followers'] },
+            type: { type: 'string', enum: ['public', 'private', 'followers', 'close_friends'] },
+            isEdited: { type: 'boolean' },
+            editedAt: { type: 'string', description: 'When the post was last edited' },
             likes: { type: 'array' },
             comments: { type: 'array' },
             createdAt: { type: 'string' }
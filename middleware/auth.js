@@ -1,42 +1,20 @@
-import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
-import dotenv from 'dotenv';
+import { verifyAccessToken } from '../utils/authService.js';
 
-dotenv.config();
-
-const JWT_SECRET = process.env.JWT_SECRET || 'lykechat-secret-key-2024';
-
-export const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '30d' });
-};
+export { generateToken, ACCESS_TOKEN_TTL } from '../utils/authService.js';
 
 export const authenticate = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Access denied. No token provided.' 
-      });
-    }
-
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-__v');
-    
-    if (!user) {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Invalid token. User not found.' 
-      });
-    }
+    const { user, sessionId } = await verifyAccessToken(token);
 
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
-    res.status(401).json({ 
+    res.status(error.status || 401).json({
       success: false,
-      message: 'Invalid token.' 
+      message: error.status ? error.message : 'Invalid token.',
+      ...error.details
     });
   }
 };
@@ -44,15 +22,15 @@ export const authenticate = async (req, res, next) => {
 export const optionalAuth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (token) {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-__v');
+      const { user, sessionId } = await verifyAccessToken(token);
       req.user = user;
+      req.sessionId = sessionId;
     }
-    
+
     next();
   } catch (error) {
     next();
   }
-};
\ No newline at end of file
+};
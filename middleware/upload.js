@@ -1,6 +1,7 @@
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import { VERIFICATION_DOCS_DIR, MAX_VERIFICATION_DOCUMENTS } from '../utils/verificationService.js';
 
 // Create upload directories if they don't exist
 const createUploadDirs = () => {
@@ -55,4 +56,30 @@ export const uploadMultiple = upload.array('files', 10);
 export const uploadFields = upload.fields([
   { name: 'media', maxCount: 10 },
   { name: 'images', maxCount: 10 }
-]);
\ No newline at end of file
+]);
+
+// Verification documents (ID proofs): images or PDFs, kept in a private folder
+const verificationStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdirSync(VERIFICATION_DOCS_DIR, { recursive: true });
+    cb(null, VERIFICATION_DOCS_DIR);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `${req.user._id}-${uniqueSuffix}${path.extname(file.originalname)}`);
+  }
+});
+
+export const uploadVerificationDocuments = multer({
+  storage: verificationStorage,
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image and PDF documents are allowed!'), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+}).array('documents', MAX_VERIFICATION_DOCUMENTS);
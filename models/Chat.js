@@ -82,6 +82,12 @@ const chatSchema = new mongoose.Schema({
       type: Number,
       default: 0
     }
+  }],
+  // Participants who see this chat in their message requests folder
+  // because the other side is on their restricted list
+  requestFolderFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }]
 }, {
   timestamps: true,
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const dataExportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'pending'
+  },
+  filePath: {
+    type: String
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String
+  },
+  completedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function (doc, ret) {
+      delete ret.filePath;
+      if (ret.completedAt) {
+        ret.completedAt = new Date(ret.completedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      }
+      if (ret.expiresAt) {
+        ret.expiresAt = new Date(ret.expiresAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      }
+      ret.createdAt = new Date(ret.createdAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      ret.updatedAt = new Date(ret.updatedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      return ret;
+    }
+  }
+});
+
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ expiresAt: 1 });
+
+export default mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+const deviceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  token: {
+    type: String,
+    required: true
+  },
+  platform: {
+    type: String,
+    enum: ['android', 'ios', 'web'],
+    required: true
+  },
+  appVersion: {
+    type: String,
+    default: ''
+  },
+  deviceId: {
+    type: String,
+    default: ''
+  },
+  deviceName: {
+    type: String,
+    default: ''
+  },
+  // Session that registered the token; logging that session out removes it
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function (doc, ret) {
+      delete ret.token;
+      ret.lastSeenAt = new Date(ret.lastSeenAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      ret.createdAt = new Date(ret.createdAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      ret.updatedAt = new Date(ret.updatedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      return ret;
+    }
+  }
+});
+
+deviceSchema.index({ token: 1 }, { unique: true });
+deviceSchema.index({ userId: 1 });
+deviceSchema.index({ sessionId: 1 });
+deviceSchema.index({ lastSeenAt: 1 });
+
+export default mongoose.model('Device', deviceSchema);
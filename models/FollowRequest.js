@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Pending request to follow a private account. Approving, rejecting or
+// cancelling removes the request.
+const followRequestSchema = new mongoose.Schema({
+  requesterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function (doc, ret) {
+      ret.createdAt = new Date(ret.createdAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      ret.updatedAt = new Date(ret.updatedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      return ret;
+    }
+  }
+});
+
+followRequestSchema.index({ requesterId: 1, targetId: 1 }, { unique: true });
+followRequestSchema.index({ targetId: 1, createdAt: -1 });
+
+export default mongoose.model('FollowRequest', followRequestSchema);
@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+// Sent by the app itself rather than by another user, so they have no fromUserId
+export const SYSTEM_NOTIFICATION_TYPES = ['verification_approved', 'verification_rejected'];
+
 const notificationSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -9,11 +12,16 @@ const notificationSchema = new mongoose.Schema({
   fromUserId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function () {
+      return !SYSTEM_NOTIFICATION_TYPES.includes(this.type);
+    }
   },
   type: {
     type: String,
-    enum: ['like', 'comment', 'follow', 'post', 'story_view', 'service_review'],
+    enum: [
+      'like', 'comment', 'mention', 'follow', 'follow_request', 'follow_accepted', 'post', 'story_view', 'service_review',
+      ...SYSTEM_NOTIFICATION_TYPES
+    ],
     required: true
   },
   message: {
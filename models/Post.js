@@ -1,5 +1,18 @@
 import mongoose from 'mongoose';
 
+const mediaSchema = {
+  type: {
+    type: String,
+    enum: ['image', 'video'],
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnail: String // For videos
+};
+
 const postSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,23 +24,28 @@ const postSchema = new mongoose.Schema({
     maxlength: 2000,
     default: ''
   },
-  media: [{
-    type: {
-      type: String,
-      enum: ['image', 'video'],
-      required: true
-    },
-    url: {
-      type: String,
-      required: true
-    },
-    thumbnail: String // For videos
-  }],
+  media: [mediaSchema],
   type: {
     type: String,
-    enum: ['public', 'private', 'followers'],
+    enum: ['public', 'private', 'followers', 'close_friends'],
     default: 'public'
   },
+  // Set on every edit; shown as the "edited" indicator
+  editedAt: Date,
+  // Earlier versions, oldest first. editedAt is when that version was
+  // replaced. Media of earlier versions stay on disk so history links work.
+  editHistory: [{
+    description: String,
+    type: {
+      type: String,
+      enum: ['public', 'private', 'followers', 'close_friends']
+    },
+    media: [mediaSchema],
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   likes: [{
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -48,6 +66,12 @@ const postSchema = new mongoose.Schema({
       required: true,
       maxlength: 500
     },
+    // Comments by users the post owner restricted; only the owner and the
+    // commenter see them until the owner approves
+    pendingApproval: {
+      type: Boolean,
+      default: false
+    },
     likes: [{
       userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -102,13 +126,26 @@ const postSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  // Hidden from everyone but the owner until unarchived
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: Date
 }, {
   timestamps: true,
   toJSON: {
     transform: function(doc, ret) {
       ret.createdAt = new Date(ret.createdAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
       ret.updatedAt = new Date(ret.updatedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      ret.isEdited = !!ret.editedAt;
+      if (ret.editedAt) {
+        ret.editedAt = new Date(ret.editedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      }
+      if (ret.archivedAt) {
+        ret.archivedAt = new Date(ret.archivedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      }
       return ret;
     }
   }
@@ -118,5 +155,6 @@ const postSchema = new mongoose.Schema({
 postSchema.index({ userId: 1 });
 postSchema.index({ createdAt: -1 });
 postSchema.index({ type: 1 });
+postSchema.index({ userId: 1, isArchived: 1, archivedAt: -1 });
 
 export default mongoose.model('Post', postSchema);
\ No newline at end of file
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+export const PROFILE_VIEW_SOURCES = ['feed', 'search', 'post', 'community', 'direct'];
+
+// One visit of a profile per viewer per day (in the profile owner's time
+// zone). Visiting again the same day only bumps lastViewedAt; the source
+// is the one the first visit came from.
+const profileViewSchema = new mongoose.Schema({
+  profileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  viewerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: PROFILE_VIEW_SOURCES,
+    default: 'direct'
+  },
+  lastViewedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set from PROFILE_VIEW_RETENTION_DAYS (see utils/profileViewService.js)
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function (doc, ret) {
+      ret.lastViewedAt = new Date(ret.lastViewedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      ret.expiresAt = new Date(ret.expiresAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      ret.createdAt = new Date(ret.createdAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      ret.updatedAt = new Date(ret.updatedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      return ret;
+    }
+  }
+});
+
+profileViewSchema.index({ profileId: 1, viewerId: 1, day: 1 }, { unique: true });
+profileViewSchema.index({ profileId: 1, day: 1 });
+profileViewSchema.index({ viewerId: 1 });
+profileViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('ProfileView', profileViewSchema);
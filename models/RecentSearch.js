@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// A user search query, kept so the search screen can show recent searches.
+// Searching the same text again only refreshes updatedAt.
+const recentSearchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  query: {
+    type: String,
+    required: true,
+    maxlength: 100
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function (doc, ret) {
+      ret.createdAt = new Date(ret.createdAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      ret.updatedAt = new Date(ret.updatedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      return ret;
+    }
+  }
+});
+
+recentSearchSchema.index({ userId: 1, query: 1 }, { unique: true });
+recentSearchSchema.index({ userId: 1, updatedAt: -1 });
+
+export default mongoose.model('RecentSearch', recentSearchSchema);
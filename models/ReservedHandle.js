@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+const reservedHandleSchema = new mongoose.Schema({
+  handle: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 30
+  },
+  // reserved: this exact handle can't be claimed
+  // blocked: no handle may contain this term
+  type: {
+    type: String,
+    enum: ['reserved', 'blocked'],
+    default: 'reserved'
+  },
+  reason: {
+    type: String,
+    maxlength: 200,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function (doc, ret) {
+      ret.createdAt = new Date(ret.createdAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      ret.updatedAt = new Date(ret.updatedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      return ret;
+    }
+  }
+});
+
+reservedHandleSchema.index({ handle: 1 }, { unique: true });
+
+export default mongoose.model('ReservedHandle', reservedHandleSchema);
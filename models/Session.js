@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+  deviceName: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoked_all', 'replaced', 'token_reuse', 'banned', 'suspended', 'deactivated', 'mobile_changed']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function (doc, ret) {
+      delete ret.refreshTokenHash;
+      ret.lastUsedAt = new Date(ret.lastUsedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      ret.createdAt = new Date(ret.createdAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      ret.updatedAt = new Date(ret.updatedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      return ret;
+    }
+  }
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ userId: 1, deviceId: 1 });
+// Remove sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Session', sessionSchema);
@@ -18,6 +18,12 @@ const storySchema = new mongoose.Schema({
     },
     thumbnail: String // For videos
   },
+  // 'close_friends' stories are shown only to users on the owner's close friends list
+  audience: {
+    type: String,
+    enum: ['followers', 'close_friends'],
+    default: 'followers'
+  },
   viewers: [{
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -16,10 +16,17 @@ const userSchema = new mongoose.Schema({
   },
   email: {
     type: String,
-    // sparse: true,
     lowercase: true,
+    trim: true,
     match: /^\S+@\S+\.\S+$/
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
   profileImage: {
     type: String,
     default: ''
@@ -50,10 +57,52 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Set once the user has confirmed their mobile number or email with an OTP
   isVerified: {
     type: Boolean,
     default: false
   },
+  // Blue badge, granted by an admin through a verification request
+  verifiedBadge: {
+    type: Boolean,
+    default: false
+  },
+  verifiedBadgeAt: {
+    type: Date
+  },
+  // Only approved followers see posts, stories and follow lists
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  // 'deactivated' is set by the user and lifted by logging in again;
+  // 'suspended' and 'banned' are set by admins (see utils/accountStatus.js)
+  status: {
+    type: String,
+    enum: ['active', 'deactivated', 'suspended', 'banned'],
+    default: 'active'
+  },
+  // No date means suspended until an admin lifts it
+  suspendedUntil: {
+    type: Date
+  },
+  statusReason: {
+    type: String,
+    default: ''
+  },
+  statusChangedAt: {
+    type: Date
+  },
+  deletionRequestedAt: {
+    type: Date
+  },
+  deletionScheduledFor: {
+    type: Date
+  },
+  deletionReason: {
+    type: String,
+    maxlength: 500
+  },
   isOnline: {
     type: Boolean,
     default: false
@@ -74,6 +123,31 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Still followed, but hidden from the post and/or story feed
+  mutedPosts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  mutedStories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Audience for 'close_friends' stories and posts
+  closeFriends: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Hidden from this user's friend suggestions for good
+  dismissedSuggestions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Their comments on this user's posts wait for approval and their
+  // messages land in the message requests folder
+  restrictedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   savedPosts: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post'
@@ -81,11 +155,7 @@ const userSchema = new mongoose.Schema({
   savedCommunityPosts: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'CommunityPost'
-  }],
-  fcmToken: {
-    type: String,
-    default: ''
-  }
+  }]
 }, {
   timestamps: true,
   toJSON: {
@@ -97,9 +167,22 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+// An empty email would collide in the sparse unique index, so store none
+userSchema.pre('validate', function (next) {
+  if (this.email === '' || this.email === null) {
+    this.email = undefined;
+  }
+  next();
+});
+
 // Index for better query performance
 userSchema.index({ username: 1 }, { unique: true });
 userSchema.index({ mobileNumber: 1 }, { unique: true });
 userSchema.index({ email: 1 }, { unique: true, sparse: true });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+userSchema.index({ status: 1, suspendedUntil: 1 });
+
+// Fields loaded whenever a user is shown next to content (populate/select)
+export const USER_SUMMARY_FIELDS = 'username profileImage verifiedBadge';
 
 export default mongoose.model('User', userSchema);
\ No newline at end of file
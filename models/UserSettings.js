@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// Who an interaction setting lets in, relative to the settings' owner:
+//   followers -> people who follow me
+//   following -> people I follow
+export const INTERACTION_AUDIENCES = ['everyone', 'followers', 'following', 'nobody'];
+export const PRESENCE_AUDIENCES = ['everyone', 'followers', 'nobody'];
+
+// One preference per notification type; verification covers both
+// verification_approved and verification_rejected
+export const NOTIFICATION_PREFERENCES = [
+  'like', 'comment', 'mention', 'follow', 'follow_request', 'follow_accepted',
+  'post', 'story_view', 'service_review', 'verification'
+];
+
+export const SUPPORTED_LANGUAGES = ['en', 'hi', 'bn', 'ta', 'te', 'mr', 'gu', 'kn', 'ml', 'pa'];
+
+const audience = (values) => ({
+  type: String,
+  enum: values,
+  default: 'everyone'
+});
+
+// Users without a settings document get the schema defaults (see
+// utils/settingsService.js), so the document is only created on first change
+const userSettingsSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  presence: {
+    showOnlineStatusTo: audience(PRESENCE_AUDIENCES),
+    showLastSeenTo: audience(PRESENCE_AUDIENCES)
+  },
+  privacy: {
+    whoCanMessage: audience(INTERACTION_AUDIENCES),
+    whoCanComment: audience(INTERACTION_AUDIENCES),
+    whoCanMention: audience(INTERACTION_AUDIENCES)
+  },
+  // Opting in shows who viewed your profile and, in return, shows you in
+  // the recent viewers of profiles you visit
+  profileViews: {
+    showViewers: {
+      type: Boolean,
+      default: false
+    }
+  },
+  notifications: Object.fromEntries(NOTIFICATION_PREFERENCES.map(type => [type, { type: Boolean, default: true }])),
+  language: {
+    type: String,
+    enum: SUPPORTED_LANGUAGES,
+    default: 'en'
+  },
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function (doc, ret) {
+      ret.createdAt = new Date(ret.createdAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      ret.updatedAt = new Date(ret.updatedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      return ret;
+    }
+  }
+});
+
+userSettingsSchema.index({ userId: 1 }, { unique: true });
+
+export default mongoose.model('UserSettings', userSettingsSchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+const usernameHistorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The handle the user moved away from
+  username: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  newUsername: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function (doc, ret) {
+      ret.createdAt = new Date(ret.createdAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      ret.updatedAt = new Date(ret.updatedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      return ret;
+    }
+  }
+});
+
+usernameHistorySchema.index({ username: 1, createdAt: -1 });
+usernameHistorySchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('UsernameHistory', usernameHistorySchema);
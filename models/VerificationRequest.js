@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+// Application for the verified badge. Documents are stored outside the
+// public uploads folder (see utils/verificationService.js) and only admins
+// can download them.
+const verificationRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['creator', 'public_figure', 'business', 'organization', 'journalist', 'other'],
+    required: true
+  },
+  fullName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  knownAs: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  links: [{
+    type: String,
+    trim: true
+  }],
+  notes: {
+    type: String,
+    maxlength: 1000,
+    default: ''
+  },
+  documents: [{
+    path: {
+      type: String,
+      required: true
+    },
+    originalName: String,
+    mimeType: String,
+    size: Number
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function (doc, ret) {
+      // Never expose where documents live on disk
+      ret.documents = (ret.documents || []).map(({ path, ...document }) => document);
+      if (ret.reviewedAt) {
+        ret.reviewedAt = new Date(ret.reviewedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      }
+      ret.createdAt = new Date(ret.createdAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      ret.updatedAt = new Date(ret.updatedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+      return ret;
+    }
+  }
+});
+
+verificationRequestSchema.index({ status: 1, createdAt: 1 });
+verificationRequestSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('VerificationRequest', verificationRequestSchema);
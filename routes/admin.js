@@ -1,11 +1,16 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import { authenticateAdmin, generateAdminToken } from '../middleware/adminAuth.js';
+import { authenticateAdmin, generateAdminToken, requirePermission } from '../middleware/adminAuth.js';
 import Admin from '../models/Admin.js';
-import User from '../models/User.js';
+import User, { USER_SUMMARY_FIELDS } from '../models/User.js';
 import Post from '../models/Post.js';
 import Service from '../models/Service.js';
 import Report from '../models/Report.js';
+import ReservedHandle from '../models/ReservedHandle.js';
+import VerificationRequest from '../models/VerificationRequest.js';
+import { normalizeUsername, invalidateReservedHandles } from '../utils/usernameService.js';
+import { setAccountStatus, ADMIN_STATUSES } from '../utils/accountStatus.js';
+import { reviewVerificationRequest, revokeVerifiedBadge } from '../utils/verificationService.js';
 import { userCache, getCacheKey, clearAllCache } from '../utils/cache.js';
 
 const router = express.Router();
@@ -149,7 +154,7 @@ router.get('/dashboard', authenticateAdmin, async (req, res) => {
       User.countDocuments({ isOnline: true }),
       User.find().sort({ createdAt: -1 }).limit(5).select('username profileImage createdAt'),
       Post.find({ isActive: true }).sort({ createdAt: -1 }).limit(5)
-        .populate('userId', 'username profileImage').select('description media createdAt'),
+        .populate('userId', USER_SUMMARY_FIELDS).select('description media createdAt'),
       Report.find({ status: 'pending' }).limit(10)
         .populate('reportedBy', 'username')
         .populate('reportedUser', 'username')
@@ -210,13 +215,18 @@ router.get('/dashboard', authenticateAdmin, async (req, res) => {
  *         name: search
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [all, active, deactivated, suspended, banned]
  *     responses:
  *       200:
  *         description: Users retrieved successfully
  */
 router.get('/users', authenticateAdmin, async (req, res) => {
   try {
-    const { page = 1, limit = 20, search } = req.query;
+    const { page = 1, limit = 20, search, status } = req.query;
     
     let query = {};
     if (search) {
@@ -228,9 +238,12 @@ router.get('/users', authenticateAdmin, async (req, res) => {
         ]
       };
     }
+    if (status && status !== 'all') {
+      query.status = status;
+    }
 
     const users = await User.find(query)
-      .select('-blockedUsers -savedPosts -savedCommunityPosts')
+      .select('-blockedUsers -mutedPosts -mutedStories -restrictedUsers -closeFriends -dismissedSuggestions -savedPosts -savedCommunityPosts')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -257,12 +270,102 @@ router.get('/users', authenticateAdmin, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/users/{userId}/status:
+ *   patch:
+ *     tags: [Admin]
+ *     summary: Suspend, ban or reinstate a user
+ *     description: Suspending or banning signs the user out of every device and hides their profile and content. Suspensions with suspendedUntil are lifted automatically once it passes.
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [active, suspended, banned]
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *               suspendedUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 description: End of the suspension; omit for an open-ended suspension
+ *     responses:
+ *       200:
+ *         description: User status updated successfully
+ *       404:
+ *         description: User not found
+ */
+router.patch('/users/:userId/status', authenticateAdmin, requirePermission('users'), [
+  body('status').isIn(ADMIN_STATUSES),
+  body('reason').optional().isString().isLength({ max: 500 }),
+  body('suspendedUntil')
+    .optional()
+    .isISO8601()
+    .custom(value => new Date(value) > new Date())
+    .withMessage('suspendedUntil must be a future date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { status, reason, suspendedUntil } = req.body;
+    const user = await setAccountStatus(req.params.userId, {
+      status,
+      reason,
+      suspendedUntil: suspendedUntil ? new Date(suspendedUntil) : undefined
+    });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User status updated successfully',
+      data: {
+        status: user.status,
+        statusReason: user.statusReason,
+        suspendedUntil: user.suspendedUntil
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/admin/users/{userId}/toggle-status:
  *   patch:
  *     tags: [Admin]
  *     summary: Toggle user active status
+ *     description: Shorthand that suspends the user without an end date, or reinstates a suspended or banned one. Use /api/admin/users/{userId}/status to set a reason or end date.
  *     security:
  *       - adminAuth: []
  *     parameters:
@@ -275,9 +378,58 @@ router.get('/users', authenticateAdmin, async (req, res) => {
  *       200:
  *         description: User status updated successfully
  */
-router.patch('/users/:userId/toggle-status', authenticateAdmin, async (req, res) => {
+router.patch('/users/:userId/toggle-status', authenticateAdmin, requirePermission('users'), async (req, res) => {
+  try {
+    const current = await User.findById(req.params.userId).select('status');
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await setAccountStatus(current._id, {
+      status: ['suspended', 'banned'].includes(current.status) ? 'active' : 'suspended'
+    });
+    const isActive = user.status === 'active';
+
+    res.json({
+      success: true,
+      message: `User ${isActive ? 'activated' : 'suspended'} successfully`,
+      data: { isActive, status: user.status }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/verified-badge:
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Remove a user's verified badge
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Badge removed
+ *       404:
+ *         description: User not found
+ */
+router.delete('/users/:userId/verified-badge', authenticateAdmin, requirePermission('users'), async (req, res) => {
   try {
-    const user = await User.findById(req.params.userId);
+    const user = await revokeVerifiedBadge(req.params.userId);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -285,14 +437,204 @@ router.patch('/users/:userId/toggle-status', authenticateAdmin, async (req, res)
       });
     }
 
-    // Toggle isVerified status (using as active/inactive)
-    user.isVerified = !user.isVerified;
-    await user.save();
+    res.json({
+      success: true,
+      message: 'Verified badge removed'
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/verification-requests:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Verification request queue
+ *     description: Pending requests are listed oldest first so the queue is worked in order; other statuses newest first.
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, all]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Verification requests retrieved successfully
+ */
+router.get('/verification-requests', authenticateAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending' } = req.query;
+
+    const query = status === 'all' ? {} : { status };
+    const requests = await VerificationRequest.find(query)
+      .populate('userId', `${USER_SUMMARY_FIELDS} bio followers`)
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await VerificationRequest.countDocuments(query);
 
     res.json({
       success: true,
-      message: `User ${user.isVerified ? 'activated' : 'deactivated'} successfully`,
-      data: { isActive: user.isVerified }
+      data: {
+        requests: requests.map(request => {
+          const { userId: user, ...rest } = request.toJSON();
+          if (!user) return { ...rest, user: null };
+          const { followers, ...summary } = user;
+          return { ...rest, user: { ...summary, followerCount: followers.length } };
+        }),
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/verification-requests/{requestId}/documents/{index}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Download a verification document
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: index
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Position of the document in the request's documents list
+ *     responses:
+ *       200:
+ *         description: The document file
+ *       404:
+ *         description: Document not found
+ */
+router.get('/verification-requests/:requestId/documents/:index', authenticateAdmin, async (req, res) => {
+  try {
+    const request = await VerificationRequest.findById(req.params.requestId).select('documents');
+    const document = request?.documents[parseInt(req.params.index)];
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    res.download(document.path, document.originalName, (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ success: false, message: 'Document not found' });
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/verification-requests/{requestId}/review:
+ *   patch:
+ *     tags: [Admin]
+ *     summary: Approve or reject a verification request
+ *     description: Approval grants the verified badge. The user is notified either way.
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Shown to the user when rejected
+ *     responses:
+ *       200:
+ *         description: Request reviewed
+ *       404:
+ *         description: Pending verification request not found
+ */
+router.patch('/verification-requests/:requestId/review', authenticateAdmin, requirePermission('users'), [
+  body('status').isIn(['approved', 'rejected']),
+  body('reason').optional().isString().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { request, error } = await reviewVerificationRequest(req.params.requestId, req.admin._id, {
+      status: req.body.status,
+      reason: req.body.reason
+    });
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Verification request ${request.status}`,
+      data: request
     });
   } catch (error) {
     res.status(500).json({ 
@@ -317,7 +659,7 @@ router.get('/posts', authenticateAdmin, async (req, res) => {
     const { page = 1, limit = 20 } = req.query;
 
     const posts = await Post.find()
-      .populate('userId', 'username profileImage')
+      .populate('userId', USER_SUMMARY_FIELDS)
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -399,8 +741,8 @@ router.get('/reports', authenticateAdmin, async (req, res) => {
     }
 
     const reports = await Report.find(query)
-      .populate('reportedBy', 'username profileImage')
-      .populate('reportedUser', 'username profileImage')
+      .populate('reportedBy', USER_SUMMARY_FIELDS)
+      .populate('reportedUser', USER_SUMMARY_FIELDS)
       .populate('reportedPost', 'description')
       .populate('reportedService', 'serviceName')
       .sort({ createdAt: -1 })
@@ -477,6 +819,141 @@ router.patch('/reports/:reportId/update-status', authenticateAdmin, [
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/reserved-handles:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get reserved and blocked handles
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [reserved, blocked]
+ */
+router.get('/reserved-handles', authenticateAdmin, async (req, res) => {
+  try {
+    const query = req.query.type ? { type: req.query.type } : {};
+    const handles = await ReservedHandle.find(query).sort({ handle: 1 });
+
+    res.json({
+      success: true,
+      data: { handles }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/reserved-handles:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Reserve or block a handle
+ *     description: Reserved handles can't be claimed exactly; blocked terms can't appear anywhere in a username.
+ *     security:
+ *       - adminAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - handle
+ *             properties:
+ *               handle:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [reserved, blocked]
+ *                 default: reserved
+ *               reason:
+ *                 type: string
+ */
+router.post('/reserved-handles', authenticateAdmin, requirePermission('users'), [
+  body('handle').customSanitizer(normalizeUsername).isLength({ min: 2, max: 30 }).withMessage('Handle must be 2-30 characters'),
+  body('type').optional().isIn(['reserved', 'blocked']),
+  body('reason').optional().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { handle, type = 'reserved', reason = '' } = req.body;
+    const entry = await ReservedHandle.findOneAndUpdate(
+      { handle },
+      { handle, type, reason, createdBy: req.admin._id },
+      { upsert: true, new: true, runValidators: true }
+    );
+    invalidateReservedHandles();
+
+    res.json({
+      success: true,
+      message: `Handle ${type === 'blocked' ? 'blocked' : 'reserved'} successfully`,
+      data: { handle: entry }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/reserved-handles/{handle}:
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Release a reserved or blocked handle
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: handle
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.delete('/reserved-handles/:handle', authenticateAdmin, requirePermission('users'), async (req, res) => {
+  try {
+    const entry = await ReservedHandle.findOneAndDelete({ handle: normalizeUsername(req.params.handle) });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Handle not found'
+      });
+    }
+    invalidateReservedHandles();
+
+    res.json({
+      success: true,
+      message: 'Handle released successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/admin/cache/clear:
@@ -1,12 +1,91 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import { generateOtp, sendOtpViaSMS, verifyOtp } from '../utils/otpService.js';
+import { generateOtp, sendOtpViaSMS, sendOtpViaEmail, verifyOtp, clearOtp, checkOtpSendAllowed } from '../utils/otpService.js';
 import User from '../models/User.js';
-import { generateToken } from '../middleware/auth.js';
+import { authenticate, generateToken, ACCESS_TOKEN_TTL } from '../middleware/auth.js';
 import { userCache, getCacheKey, invalidateUserCache } from '../utils/cache.js';
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeSessions,
+  revokeUserSessions,
+  getActiveSessions,
+  getClientInfo
+} from '../utils/sessionService.js';
+import Session from '../models/Session.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { recordSecurityEvent } from '../utils/securityEvents.js';
+import { generateUsername } from '../utils/usernameService.js';
+import { prepareLogin } from '../utils/accountStatus.js';
 
 const router = express.Router();
 
+// Builds the token part of login/refresh responses
+const buildTokenResponse = (userId, session, refreshToken) => ({
+  token: generateToken(userId, session._id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL,
+  sessionId: session._id
+});
+
+const serializeAuthUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  mobileNumber: user.mobileNumber,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  profileImage: user.profileImage,
+  isVerified: user.isVerified,
+  verifiedBadge: user.verifiedBadge,
+  deletionScheduledFor: user.deletionScheduledFor
+});
+
+// Responds to an OTP send attempt: 200, 429 with retryAfter, or 400
+const respondToOtpSend = (res, result) => {
+  if (result.status) {
+    return res.json({
+      success: true,
+      message: 'OTP sent successfully',
+      data: {
+        expiresIn: result.expiresIn,
+        retryAfter: result.retryAfter
+      }
+    });
+  }
+
+  if (result.retryAfter) {
+    res.set('Retry-After', String(result.retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: result.message,
+      retryAfter: result.retryAfter
+    });
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Failed to send OTP',
+  });
+};
+
+// Responds to a failed OTP verification: 429 with retryAfter, or 400
+const respondToOtpFailure = (res, verification) => {
+  if (verification.retryAfter) {
+    res.set('Retry-After', String(verification.retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: verification.message,
+      retryAfter: verification.retryAfter
+    });
+  }
+
+  res.status(400).json({
+    success: false,
+    message: verification.message,
+    attemptsLeft: verification.attemptsLeft
+  });
+};
+
 /**
  * @swagger
  * /api/auth/send-otp:
@@ -28,7 +107,7 @@ const router = express.Router();
  *                 example: '9876543210'
  *     responses:
  *       200:
- *         description: OTP sent successfully
+ *         description: OTP sent successfully (data.retryAfter is the resend cooldown in seconds)
  *         content:
  *           application/json:
  *             schema:
@@ -39,6 +118,8 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Resend cooldown or lockout active; retryAfter holds the seconds to wait
  */
 // Send OTP
 router.post('/send-otp', [
@@ -58,19 +139,8 @@ router.post('/send-otp', [
     const { mobileNumber } = req.body;
     const otp = generateOtp();
     
-    const result = await sendOtpViaSMS(mobileNumber, otp);
-    
-    if (result.status) {
-      res.json({
-        success: true,
-        message: 'OTP sent successfully',
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        message: 'Failed to send OTP',
-      });
-    }
+    const result = await sendOtpViaSMS(mobileNumber, otp, { ip: req.ip });
+    respondToOtpSend(res, result);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -103,6 +173,12 @@ router.post('/send-otp', [
  *                 type: string
  *                 minLength: 6
  *                 maxLength: 6
+ *               deviceId:
+ *                 type: string
+ *                 description: Stable device identifier; logging in again on the same device replaces its session
+ *               deviceName:
+ *                 type: string
+ *                 example: 'Pixel 8'
  *     responses:
  *       200:
  *         description: OTP verified successfully
@@ -117,8 +193,16 @@ router.post('/send-otp', [
  *                   type: string
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *                 user:
  *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid or expired OTP (attemptsLeft holds the remaining guesses)
+ *       403:
+ *         description: Account suspended or banned (status, reason and suspendedUntil explain why)
+ *       429:
+ *         description: Too many failed attempts; retryAfter holds the seconds to wait
  */
 // Verify OTP and Login/Register
 router.post('/verify-otp', [
@@ -140,11 +224,9 @@ router.post('/verify-otp', [
 
     const { mobileNumber, otp } = req.body;
     
-    if (!verifyOtp(mobileNumber, otp)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired OTP',
-      });
+    const verification = verifyOtp(mobileNumber, otp, { ip: req.ip });
+    if (!verification.success) {
+      return respondToOtpFailure(res, verification);
     }
 
     // Check if user exists
@@ -152,7 +234,7 @@ router.post('/verify-otp', [
     
     if (!user) {
       // Create new user
-      const username = `user${mobileNumber.slice(-4)}${Date.now().toString().slice(-4)}`;
+      const username = await generateUsername(mobileNumber);
       user = new User({
         mobileNumber,
         username,
@@ -160,26 +242,336 @@ router.post('/verify-otp', [
       });
       await user.save();
     } else {
+      // Banned and suspended users are refused; deactivated users come back
+      const restriction = await prepareLogin(user, req);
+      if (restriction) {
+        const { message, ...details } = restriction;
+        return res.status(403).json({ success: false, message, ...details });
+      }
+
       user.isVerified = true;
       await user.save();
     }
 
     // Invalidate user cache
     invalidateUserCache(user._id.toString());
-    const token = generateToken(user._id);
+    const { session, refreshToken } = await createSession(user._id, getClientInfo(req));
     
     res.json({
       success: true,
       message: 'OTP verified successfully',
       data: {
-        token,
-        user: {
-          id: user._id,
-          username: user.username,
-          mobileNumber: user.mobileNumber,
-          profileImage: user.profileImage,
-          isVerified: user.isVerified
-        }
+        ...buildTokenResponse(user._id, session, refreshToken),
+        user: serializeAuthUser(user)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/email/send-otp:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Send a login OTP to a verified email address
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: OTP sent successfully
+ *       404:
+ *         description: No account is linked to this email
+ *       429:
+ *         description: Resend cooldown or lockout active
+ */
+// Send email login OTP
+router.post('/email/send-otp', [
+  body('email').trim().toLowerCase().isEmail().withMessage('Invalid email address')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const user = await User.findOne({ email, emailVerified: true }).select('_id');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'No account is linked to this email'
+      });
+    }
+
+    const result = await sendOtpViaEmail(email, generateOtp(), { ip: req.ip, purpose: 'login' });
+    respondToOtpSend(res, result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/email/verify-otp:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Verify an email OTP and login
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - otp
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               otp:
+ *                 type: string
+ *                 minLength: 6
+ *                 maxLength: 6
+ *               deviceId:
+ *                 type: string
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged in successfully
+ *       400:
+ *         description: Invalid or expired OTP
+ *       403:
+ *         description: Account suspended or banned
+ *       429:
+ *         description: Too many failed attempts
+ */
+// Verify email OTP and login
+router.post('/email/verify-otp', [
+  body('email').trim().toLowerCase().isEmail().withMessage('Invalid email address'),
+  body('otp')
+    .isLength({ min: 6, max: 6 })
+    .withMessage('OTP must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email, otp } = req.body;
+
+    const verification = verifyOtp(email, otp, { ip: req.ip, purpose: 'login' });
+    if (!verification.success) {
+      return respondToOtpFailure(res, verification);
+    }
+
+    const user = await User.findOne({ email, emailVerified: true });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'No account is linked to this email'
+      });
+    }
+
+    const restriction = await prepareLogin(user, req);
+    if (restriction) {
+      const { message, ...details } = restriction;
+      return res.status(403).json({ success: false, message, ...details });
+    }
+
+    invalidateUserCache(user._id.toString());
+    const { session, refreshToken } = await createSession(user._id, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'OTP verified successfully',
+      data: {
+        ...buildTokenResponse(user._id, session, refreshToken),
+        user: serializeAuthUser(user)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/email/link:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Start linking an email to my account (sends an OTP to it)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Verification OTP sent to the email
+ *       409:
+ *         description: Email is already linked to another account
+ */
+// Send OTP to link an email
+router.post('/email/link', authenticate, [
+  body('email').trim().toLowerCase().isEmail().withMessage('Invalid email address')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const existingUser = await User.findOne({ email, _id: { $ne: req.user._id } }).select('_id');
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email is already linked to another account'
+      });
+    }
+
+    const result = await sendOtpViaEmail(email, generateOtp(), {
+      ip: req.ip,
+      purpose: `link_${req.user._id}`
+    });
+    respondToOtpSend(res, result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/email/link/verify:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Verify the OTP and link the email to my account
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - otp
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               otp:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified and linked
+ *       400:
+ *         description: Invalid or expired OTP
+ *       409:
+ *         description: Email is already linked to another account
+ */
+// Verify OTP and link email
+router.post('/email/link/verify', authenticate, [
+  body('email').trim().toLowerCase().isEmail().withMessage('Invalid email address'),
+  body('otp')
+    .isLength({ min: 6, max: 6 })
+    .withMessage('OTP must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email, otp } = req.body;
+
+    const verification = verifyOtp(email, otp, {
+      ip: req.ip,
+      purpose: `link_${req.user._id}`
+    });
+    if (!verification.success) {
+      return respondToOtpFailure(res, verification);
+    }
+
+    let user;
+    try {
+      user = await User.findByIdAndUpdate(
+        req.user._id,
+        { email, emailVerified: true, emailVerifiedAt: new Date() },
+        { new: true, runValidators: true }
+      );
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'Email is already linked to another account'
+        });
+      }
+      throw err;
+    }
+
+    invalidateUserCache(user._id.toString());
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user: serializeAuthUser(user)
       }
     });
   } catch (error) {
@@ -191,4 +583,513 @@ router.post('/verify-otp', [
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/change-mobile/send-otp:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Start moving my account to a new mobile number
+ *     description: Sends an OTP to the new number and one to the current number, or to the verified email when the current number is lost.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newMobileNumber
+ *             properties:
+ *               newMobileNumber:
+ *                 type: string
+ *                 pattern: '^[6-9]\d{9}$'
+ *               verifyWith:
+ *                 type: string
+ *                 enum: [mobile, email]
+ *                 default: mobile
+ *     responses:
+ *       200:
+ *         description: OTPs sent
+ *       400:
+ *         description: Validation error or no verified email for recovery
+ *       409:
+ *         description: Number already belongs to an account
+ *       429:
+ *         description: Resend cooldown or lockout active
+ */
+// Send OTPs to change mobile number
+router.post('/change-mobile/send-otp', authenticate, [
+  body('newMobileNumber')
+    .matches(/^[6-9]\d{9}$/)
+    .withMessage('Invalid mobile number format'),
+  body('verifyWith').optional().isIn(['mobile', 'email'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { newMobileNumber, verifyWith = 'mobile' } = req.body;
+    const user = req.user;
+    const purpose = `change_mobile_${user._id}`;
+
+    if (newMobileNumber === user.mobileNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'New number is the same as the current number'
+      });
+    }
+
+    if (verifyWith === 'email' && !(user.email && user.emailVerified)) {
+      return res.status(400).json({
+        success: false,
+        message: 'No verified email is linked to this account'
+      });
+    }
+
+    const existingUser = await User.findOne({ mobileNumber: newMobileNumber }).select('_id');
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'This mobile number is already registered'
+      });
+    }
+
+    // Check both recipients up front so a throttled one doesn't waste the other's send
+    const currentIdentity = verifyWith === 'email' ? user.email : user.mobileNumber;
+    for (const recipient of [currentIdentity, newMobileNumber]) {
+      const check = checkOtpSendAllowed(recipient, req.ip);
+      if (!check.allowed) {
+        return respondToOtpSend(res, { message: check.message, status: false, retryAfter: check.retryAfter });
+      }
+    }
+
+    // Prove ownership of the current identity first, then of the new number
+    const currentResult = verifyWith === 'email'
+      ? await sendOtpViaEmail(currentIdentity, generateOtp(), { ip: req.ip, purpose })
+      : await sendOtpViaSMS(currentIdentity, generateOtp(), { ip: req.ip, purpose });
+    if (!currentResult.status) {
+      return respondToOtpSend(res, currentResult);
+    }
+
+    const newResult = await sendOtpViaSMS(newMobileNumber, generateOtp(), { ip: req.ip, purpose });
+    respondToOtpSend(res, newResult);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/change-mobile/verify:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Verify both OTPs and move my account to the new number
+ *     description: All existing sessions are revoked and a new session is issued for this device.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newMobileNumber
+ *               - newOtp
+ *               - currentOtp
+ *             properties:
+ *               newMobileNumber:
+ *                 type: string
+ *               newOtp:
+ *                 type: string
+ *                 description: OTP sent to the new number
+ *               currentOtp:
+ *                 type: string
+ *                 description: OTP sent to the current number or verified email
+ *               verifyWith:
+ *                 type: string
+ *                 enum: [mobile, email]
+ *                 default: mobile
+ *     responses:
+ *       200:
+ *         description: Mobile number changed; response holds new tokens
+ *       400:
+ *         description: Invalid or expired OTP
+ *       409:
+ *         description: Number already belongs to an account
+ */
+// Verify OTPs and change mobile number
+router.post('/change-mobile/verify', authenticate, [
+  body('newMobileNumber')
+    .matches(/^[6-9]\d{9}$/)
+    .withMessage('Invalid mobile number format'),
+  body('newOtp')
+    .isLength({ min: 6, max: 6 })
+    .withMessage('OTP must be 6 digits'),
+  body('currentOtp')
+    .isLength({ min: 6, max: 6 })
+    .withMessage('OTP must be 6 digits'),
+  body('verifyWith').optional().isIn(['mobile', 'email'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { newMobileNumber, newOtp, currentOtp, verifyWith = 'mobile' } = req.body;
+    const oldMobileNumber = req.user.mobileNumber;
+    const currentIdentity = verifyWith === 'email' ? req.user.email : oldMobileNumber;
+    const purpose = `change_mobile_${req.user._id}`;
+
+    if (!currentIdentity) {
+      return res.status(400).json({
+        success: false,
+        message: 'No verified email is linked to this account'
+      });
+    }
+
+    // Check both codes before consuming either
+    const currentVerification = verifyOtp(currentIdentity, currentOtp, { ip: req.ip, purpose, consume: false });
+    if (!currentVerification.success) {
+      return respondToOtpFailure(res, currentVerification);
+    }
+
+    const newVerification = verifyOtp(newMobileNumber, newOtp, { ip: req.ip, purpose, consume: false });
+    if (!newVerification.success) {
+      return respondToOtpFailure(res, newVerification);
+    }
+
+    // Swap atomically; the unique index rejects a number taken in the meantime
+    let user;
+    try {
+      user = await User.findOneAndUpdate(
+        { _id: req.user._id, mobileNumber: oldMobileNumber },
+        { mobileNumber: newMobileNumber },
+        { new: true, runValidators: true }
+      );
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'This mobile number is already registered'
+        });
+      }
+      throw err;
+    }
+
+    if (!user) {
+      return res.status(409).json({
+        success: false,
+        message: 'Mobile number was changed by another request'
+      });
+    }
+
+    clearOtp(currentIdentity, purpose);
+    clearOtp(newMobileNumber, purpose);
+
+    await revokeUserSessions(user._id, { reason: 'mobile_changed' });
+    await recordSecurityEvent(user._id, 'mobile_changed', req, {
+      from: `******${oldMobileNumber.slice(-4)}`,
+      to: `******${newMobileNumber.slice(-4)}`,
+      verifiedWith: verifyWith
+    });
+    invalidateUserCache(user._id.toString());
+
+    const { session, refreshToken } = await createSession(user._id, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'Mobile number changed successfully',
+      data: {
+        ...buildTokenResponse(user._id, session, refreshToken),
+        user: serializeAuthUser(user)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/security-events:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Get my account security history
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Security events retrieved successfully
+ */
+// Get security events
+router.get('/security-events', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { userId: req.user._id };
+
+    const events = await SecurityEvent.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await SecurityEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh-token:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or already used
+ */
+// Refresh access token (rotates the refresh token)
+router.post('/refresh-token', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await rotateRefreshToken(req.body.refreshToken, getClientInfo(req));
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: buildTokenResponse(result.session.userId, result.session, result.refreshToken)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Logout and revoke the current session
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ */
+// Logout current session
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await revokeSessions([req.sessionId], 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: List my active sessions
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions with device, IP and last used time
+ */
+// Get active sessions
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user._id)
+      .select('deviceId deviceName userAgent ip lastUsedAt createdAt expiresAt');
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          isCurrent: session._id.toString() === req.sessionId.toString()
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     tags: [Authentication]
+ *     summary: Revoke all sessions except the current one
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked successfully
+ */
+// Revoke all other sessions
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, {
+      exceptSessionId: req.sessionId
+    });
+
+    res.json({
+      success: true,
+      message: 'Other sessions revoked successfully',
+      data: { revokedCount: revoked.length }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     tags: [Authentication]
+ *     summary: Revoke one of my sessions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: Session not found
+ */
+// Revoke a session
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      userId: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSessions([session._id], 'revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
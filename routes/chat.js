@@ -2,9 +2,13 @@ import express from 'express';
 import { authenticate } from '../middleware/auth.js';
 import { upload } from '../middleware/upload.js';
 import Chat from '../models/Chat.js';
-import User from '../models/User.js';
+import User, { USER_SUMMARY_FIELDS } from '../models/User.js';
 import { body, validationResult } from 'express-validator';
 import { io } from '../server.js';
+import { isBlockedBetween } from '../utils/visibility.js';
+import { getRestrictingRecipients } from '../utils/restrictionService.js';
+import { canInteract, applyPresencePrivacy } from '../utils/settingsService.js';
+import { getAccountRestriction } from '../utils/authService.js';
 
 const router = express.Router();
 
@@ -78,6 +82,10 @@ const router = express.Router();
  *                   type: boolean
  *                 chat:
  *                   $ref: '#/components/schemas/Chat'
+ *       403:
+ *         description: Either user has blocked the other, or the recipient's whoCanMessage setting excludes you
+ *       404:
+ *         description: User not found
  */
 // Get or create chat
 router.post('/start', authenticate, [
@@ -96,28 +104,48 @@ router.post('/start', authenticate, [
       return res.status(400).json({ message: 'Cannot start chat with yourself' });
     }
 
+    // Deactivated, suspended and banned accounts are hidden from everyone else
+    const recipient = await User.findById(recipientId).select('status suspendedUntil');
+    if (!recipient || getAccountRestriction(recipient)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (await isBlockedBetween(senderId, recipientId)) {
+      return res.status(403).json({ message: 'You cannot message this user' });
+    }
+
     // Check if chat already exists
     let chat = await Chat.findOne({
       participants: { $all: [senderId, recipientId] }
-    }).populate('participants', 'username profileImage isOnline lastSeen');
+    }).populate('participants', `${USER_SUMMARY_FIELDS} isOnline lastSeen`);
 
     if (!chat) {
-      // Create new chat
+      // New conversations need the recipient's whoCanMessage setting to allow
+      // the sender (sending and forwarding check it again)
+      if (!(await canInteract(recipientId, senderId, 'whoCanMessage'))) {
+        return res.status(403).json({ message: 'This user does not accept messages from you' });
+      }
+
+      // Create new chat (in the recipient's requests folder if they restricted the sender)
       chat = new Chat({
         participants: [senderId, recipientId],
         messages: [],
         unreadCount: [
           { userId: senderId, count: 0 },
           { userId: recipientId, count: 0 }
-        ]
+        ],
+        requestFolderFor: await getRestrictingRecipients(senderId, [recipientId])
       });
       await chat.save();
-      await chat.populate('participants', 'username profileImage isOnline lastSeen');
+      await chat.populate('participants', `${USER_SUMMARY_FIELDS} isOnline lastSeen`);
     }
 
+    const chatObj = chat.toJSON();
+    await applyPresencePrivacy(senderId, chatObj.participants);
+
     res.json({
       success: true,
-      chat
+      chat: chatObj
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -132,6 +160,14 @@ router.post('/start', authenticate, [
  *     summary: Get user's chats
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: folder
+ *         schema:
+ *           type: string
+ *           enum: [primary, requests]
+ *           default: primary
+ *         description: Message requests hold chats started by users you restricted
  *     responses:
  *       200:
  *         description: Chats retrieved successfully
@@ -150,11 +186,14 @@ router.post('/start', authenticate, [
 // Get user's chats
 router.get('/', authenticate, async (req, res) => {
   try {
+    const { folder = 'primary' } = req.query;
+
     const chats = await Chat.find({
-      participants: req.user._id
+      participants: req.user._id,
+      requestFolderFor: folder === 'requests' ? req.user._id : { $ne: req.user._id }
     })
-      .populate('participants', 'username profileImage isOnline lastSeen')
-      .populate('lastMessage.senderId', 'username profileImage')
+      .populate('participants', `${USER_SUMMARY_FIELDS} isOnline lastSeen`)
+      .populate('lastMessage.senderId', USER_SUMMARY_FIELDS)
       .sort({ 'lastMessage.timestamp': -1 });
 
     // Filter out current user from participants and add unread count
@@ -168,6 +207,7 @@ router.get('/', authenticate, async (req, res) => {
       )?.count || 0;
       return chatObj;
     });
+    await applyPresencePrivacy(req.user._id, chatsWithDetails.flatMap(chat => chat.participants));
 
     res.json({
       success: true,
@@ -178,6 +218,48 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/chat/{chatId}/accept:
+ *   post:
+ *     tags: [Chat]
+ *     summary: Move a chat from message requests to the primary folder
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Chat moved to the primary folder
+ *       404:
+ *         description: Chat not found
+ */
+// Accept message request
+router.post('/:chatId/accept', authenticate, async (req, res) => {
+  try {
+    const chat = await Chat.findOneAndUpdate(
+      { _id: req.params.chatId, participants: req.user._id },
+      { $pull: { requestFolderFor: req.user._id } },
+      { new: true }
+    );
+
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Message request accepted'
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/chat/{chatId}/messages:
@@ -212,8 +294,8 @@ router.get('/:chatId/messages', authenticate, async (req, res) => {
     const { page = 1, limit = 50 } = req.query;
 
     const chat = await Chat.findById(req.params.chatId)
-      .populate('participants', 'username profileImage')
-      .populate('messages.senderId', 'username profileImage');
+      .populate('participants', USER_SUMMARY_FIELDS)
+      .populate('messages.senderId', USER_SUMMARY_FIELDS);
 
     if (!chat) {
       return res.status(404).json({ message: 'Chat not found' });
@@ -283,6 +365,8 @@ router.get('/:chatId/messages', authenticate, async (req, res) => {
  *     responses:
  *       200:
  *         description: Message sent successfully
+ *       403:
+ *         description: Not a participant, either user has blocked the other, or the recipient's whoCanMessage setting excludes you
  */
 // Send message
 router.post('/:chatId/message', authenticate, upload.single('media'), [
@@ -296,7 +380,7 @@ router.post('/:chatId/message', authenticate, upload.single('media'), [
     }
 
     const chat = await Chat.findById(req.params.chatId)
-      .populate('participants', 'username profileImage');
+      .populate('participants', USER_SUMMARY_FIELDS);
 
     if (!chat) {
       return res.status(404).json({ message: 'Chat not found' });
@@ -307,6 +391,20 @@ router.post('/:chatId/message', authenticate, upload.single('media'), [
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    const otherParticipants = chat.participants.filter(p =>
+      p._id.toString() !== req.user._id.toString()
+    );
+
+    for (const participant of otherParticipants) {
+      if (await isBlockedBetween(req.user._id, participant._id)) {
+        return res.status(403).json({ message: 'You cannot message this user' });
+      }
+      // whoCanMessage applies to existing conversations too
+      if (!(await canInteract(participant._id, req.user._id, 'whoCanMessage'))) {
+        return res.status(403).json({ message: 'This user does not accept messages from you' });
+      }
+    }
+
     const message = {
       senderId: req.user._id,
       text: text || '',
@@ -340,18 +438,15 @@ router.post('/:chatId/message', authenticate, upload.single('media'), [
     await chat.save();
 
     const newMessage = chat.messages[chat.messages.length - 1];
-    await chat.populate('messages.senderId', 'username profileImage');
+    await chat.populate('messages.senderId', USER_SUMMARY_FIELDS);
 
     // Emit message to other participants via Socket.io
-    const otherParticipants = chat.participants.filter(p =>
-      p._id.toString() !== req.user._id.toString()
-    );
-
     otherParticipants.forEach(participant => {
       io.to(participant._id.toString()).emit('newMessage', {
         chatId: chat._id,
         message: newMessage,
-        sender: req.user
+        sender: req.user,
+        isRequest: chat.requestFolderFor.some(id => id.toString() === participant._id.toString())
       });
     });
 
@@ -527,7 +622,7 @@ router.post('/:chatId/message/:messageId/pin', authenticate, async (req, res) =>
  *                   type: string
  *     responses:
  *       200:
- *         description: Message forwarded successfully
+ *         description: Message forwarded successfully. Chats with a user on either side of a block, or whose whoCanMessage setting excludes you, are skipped.
  */
 // Forward message
 router.post('/:chatId/message/:messageId/forward', authenticate, [
@@ -550,6 +645,12 @@ router.post('/:chatId/message/:messageId/forward', authenticate, [
     for (const targetChatId of targetChatIds) {
       const targetChat = await Chat.findById(targetChatId);
       if (targetChat && targetChat.participants.includes(req.user._id)) {
+        const recipients = targetChat.participants.filter(id => id.toString() !== req.user._id.toString());
+        const refused = await Promise.all(recipients.map(async id => (
+          await isBlockedBetween(req.user._id, id) || !(await canInteract(id, req.user._id, 'whoCanMessage'))
+        )));
+        if (refused.some(Boolean)) continue;
+
         const forwardedMessage = {
           senderId: req.user._id,
           text: message.text,
@@ -1,13 +1,58 @@
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
 import CommunityPost from '../models/CommunityPost.js';
-import User from '../models/User.js';
-import Notification from '../models/Notification.js';
+import User, { USER_SUMMARY_FIELDS } from '../models/User.js';
+import { createNotification, createNotifications } from '../utils/notificationService.js';
 import { body, validationResult } from 'express-validator';
 import { communityCache, getCacheKey, invalidateCommunityCache } from '../utils/cache.js';
+import {
+  getViewerContext,
+  loadAccountStates,
+  getParticipantIds,
+  getBlockedUserIds,
+  findVisibleIds,
+  countVisible,
+  inIdOrder,
+  isBlockedEitherWay,
+  isHiddenUser,
+  withoutBlockedUsers,
+  withoutBlockedComments
+} from '../utils/visibility.js';
 
 const router = express.Router();
 
+// One page of community posts by authors the viewer may see, with the
+// total for pagination
+const findCommunityPage = async (context, query, { sort, page, limit }) => {
+  const match = { ...query, userId: { $nin: getBlockedUserIds(context) } };
+  const [postIds, total] = await Promise.all([
+    findVisibleIds(CommunityPost, match, context, { sort, skip: (page - 1) * limit, limit: limit * 1 }),
+    countVisible(CommunityPost, match, context)
+  ]);
+
+  const posts = await CommunityPost.find({ _id: { $in: postIds } })
+    .populate('userId', USER_SUMMARY_FIELDS)
+    .populate('likes.userId', USER_SUMMARY_FIELDS)
+    .populate('comments.userId', USER_SUMMARY_FIELDS)
+    .populate('comments.replies.userId', USER_SUMMARY_FIELDS);
+  await loadAccountStates(context, posts.flatMap(getParticipantIds));
+  return { posts: inIdOrder(posts, postIds), total };
+};
+
+// A community post as the viewer sees it: likes, comments and replies of
+// users on either side of a block or of inactive accounts are left out, and
+// the counts match. Load the participants' account states first.
+const toPostView = (context, post, viewer, isSaved) => {
+  const postObj = post.toObject();
+  postObj.likes = withoutBlockedUsers(context, postObj.likes);
+  postObj.comments = withoutBlockedComments(context, postObj.comments);
+  postObj.isLiked = post.likes.some(like => like.userId?._id?.toString() === viewer._id.toString());
+  postObj.likeCount = postObj.likes.length;
+  postObj.commentCount = postObj.comments.length;
+  postObj.isSaved = isSaved ?? (viewer.savedCommunityPosts?.includes(post._id) || false);
+  return postObj;
+};
+
 /**
  * @swagger
  * components:
@@ -125,7 +170,7 @@ router.post('/', authenticate, [
     });
 
     await communityPost.save();
-    await communityPost.populate('userId', 'username profileImage');
+    await communityPost.populate('userId', USER_SUMMARY_FIELDS);
 
     // Create notification for followers
     const user = await User.findById(req.user._id).select('followers username');
@@ -137,7 +182,7 @@ router.post('/', authenticate, [
         message: `${user.username} asked a question in community`,
         postId: communityPost._id
       }));
-      await Notification.insertMany(notifications);
+      await createNotifications(notifications);
     }
 
     // Invalidate community cache
@@ -219,8 +264,8 @@ router.get('/', authenticate, async (req, res) => {
   try {
     const { page = 1, limit = 10, category, sort = 'recent' } = req.query;
 
-    // Check cache first
-    const cacheKey = getCacheKey('community', 'posts', `${page}-${limit}-${category}-${sort}`);
+    // Check cache first (per viewer, since blocks and isLiked differ per user)
+    const cacheKey = getCacheKey('community', 'posts', `${req.user._id}-${page}-${limit}-${category}-${sort}`);
     const cachedData = communityCache.get(cacheKey);
 
     if (cachedData) {
@@ -231,6 +276,7 @@ router.get('/', authenticate, async (req, res) => {
       });
     }
 
+    const context = await getViewerContext(req.user._id);
     let query = { isActive: true };
     if (category && category !== 'all') {
       query.category = category;
@@ -242,30 +288,10 @@ router.get('/', authenticate, async (req, res) => {
       sortOption = { 'likes.length': -1, createdAt: -1 };
     }
 
-    const posts = await CommunityPost.find(query)
-      .populate('userId', 'username profileImage')
-      .populate('likes.userId', 'username profileImage')
-      .populate('comments.userId', 'username profileImage')
-      .populate('comments.replies.userId', 'username profileImage')
-      .sort(sortOption)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await CommunityPost.countDocuments(query);
+    const { posts, total } = await findCommunityPage(context, query, { sort: sortOption, page, limit });
 
     // Add interaction status for current user
-    const postsWithStatus = posts.map(post => {
-      const postObj = post.toObject();
-      postObj.isLiked = post.likes.some(like => like.userId._id.toString() === req.user._id.toString());
-      postObj.likeCount = post.likes.length;
-      postObj.commentCount = post.comments.length;
-
-      // Check if saved
-      const user = req.user;
-      postObj.isSaved = user.savedCommunityPosts?.includes(post._id) || false;
-
-      return postObj;
-    });
+    const postsWithStatus = posts.map(post => toPostView(context, post, req.user));
 
     const responseData = {
       posts: postsWithStatus,
@@ -336,32 +362,16 @@ router.get('/saved', authenticate, async (req, res) => {
       });
     }
 
-    const posts = await CommunityPost.find({
+    const context = await getViewerContext(req.user._id);
+    const savedQuery = {
       _id: { $in: user.savedCommunityPosts },
       isActive: true
-    })
-      .populate('userId', 'username profileImage')
-      .populate('likes.userId', 'username profileImage')
-      .populate('comments.userId', 'username profileImage')
-      .populate('comments.replies.userId', 'username profileImage')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    };
 
-    const total = await CommunityPost.countDocuments({
-      _id: { $in: user.savedCommunityPosts },
-      isActive: true
-    });
+    const { posts, total } = await findCommunityPage(context, savedQuery, { sort: { createdAt: -1 }, page, limit });
 
-    // Add interaction status for current user
-    const postsWithStatus = posts.map(post => {
-      const postObj = post.toObject();
-      postObj.isLiked = post.likes.some(like => like.userId._id.toString() === req.user._id.toString());
-      postObj.likeCount = post.likes.length;
-      postObj.commentCount = post.comments.length;
-      postObj.isSaved = true; // All posts in this response are saved
-      return postObj;
-    });
+    // Add interaction status for current user (all posts here are saved)
+    const postsWithStatus = posts.map(post => toPostView(context, post, req.user, true));
 
     res.json({
       success: true,
@@ -444,32 +454,16 @@ router.get('/saved/:userId', authenticate, async (req, res) => {
       });
     }
 
-    const posts = await CommunityPost.find({
+    const context = await getViewerContext(req.user._id);
+    const savedQuery = {
       _id: { $in: user.savedCommunityPosts },
       isActive: true
-    })
-      .populate('userId', 'username profileImage')
-      .populate('likes.userId', 'username profileImage')
-      .populate('comments.userId', 'username profileImage')
-      .populate('comments.replies.userId', 'username profileImage')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    };
 
-    const total = await CommunityPost.countDocuments({
-      _id: { $in: user.savedCommunityPosts },
-      isActive: true
-    });
+    const { posts, total } = await findCommunityPage(context, savedQuery, { sort: { createdAt: -1 }, page, limit });
 
-    // Add interaction status for current user
-    const postsWithStatus = posts.map(post => {
-      const postObj = post.toObject();
-      postObj.isLiked = post.likes.some(like => like.userId._id.toString() === req.user._id.toString());
-      postObj.likeCount = post.likes.length;
-      postObj.commentCount = post.comments.length;
-      postObj.isSaved = true; // All posts in this response are saved
-      return postObj;
-    });
+    // Add interaction status for current user (all posts here are saved)
+    const postsWithStatus = posts.map(post => toPostView(context, post, req.user, true));
 
     res.json({
       success: true,
@@ -538,32 +532,13 @@ router.get('/category/:category', authenticate, async (req, res) => {
       sortOption = { 'likes.length': -1, createdAt: -1 };
     }
 
-    const posts = await CommunityPost.find({
-      category,
-      isActive: true
-    })
-      .populate('userId', 'username profileImage')
-      .populate('likes.userId', 'username profileImage')
-      .populate('comments.userId', 'username profileImage')
-      .populate('comments.replies.userId', 'username profileImage')
-      .sort(sortOption)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const context = await getViewerContext(req.user._id);
+    const query = { category, isActive: true };
 
-    const total = await CommunityPost.countDocuments({ category, isActive: true });
+    const { posts, total } = await findCommunityPage(context, query, { sort: sortOption, page, limit });
 
     // Add interaction status for current user
-    const postsWithStatus = posts.map(post => {
-      const postObj = post.toObject();
-      postObj.isLiked = post.likes.some(like => like.userId._id.toString() === req.user._id.toString());
-      postObj.likeCount = post.likes.length;
-      postObj.commentCount = post.comments.length;
-
-      const user = req.user;
-      postObj.isSaved = user.savedCommunityPosts?.includes(post._id) || false;
-
-      return postObj;
-    });
+    const postsWithStatus = posts.map(post => toPostView(context, post, req.user));
 
     res.json({
       success: true,
@@ -620,32 +595,31 @@ router.get('/user/:userId', authenticate, async (req, res) => {
     const { page = 1, limit = 10 } = req.query;
     const { userId } = req.params;
 
+    const context = await loadAccountStates(await getViewerContext(req.user._id), [userId]);
+    if (isHiddenUser(context, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
     const posts = await CommunityPost.find({
       userId,
       isActive: true
     })
-      .populate('userId', 'username profileImage')
-      .populate('likes.userId', 'username profileImage')
-      .populate('comments.userId', 'username profileImage')
-      .populate('comments.replies.userId', 'username profileImage')
+      .populate('userId', USER_SUMMARY_FIELDS)
+      .populate('likes.userId', USER_SUMMARY_FIELDS)
+      .populate('comments.userId', USER_SUMMARY_FIELDS)
+      .populate('comments.replies.userId', USER_SUMMARY_FIELDS)
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
     const total = await CommunityPost.countDocuments({ userId, isActive: true });
+    await loadAccountStates(context, posts.flatMap(getParticipantIds));
 
     // Add interaction status for current user
-    const postsWithStatus = posts.map(post => {
-      const postObj = post.toObject();
-      postObj.isLiked = post.likes.some(like => like.userId._id.toString() === req.user._id.toString());
-      postObj.likeCount = post.likes.length;
-      postObj.commentCount = post.comments.length;
-
-      const user = req.user;
-      postObj.isSaved = user.savedCommunityPosts?.includes(post._id) || false;
-
-      return postObj;
-    });
+    const postsWithStatus = posts.map(post => toPostView(context, post, req.user));
 
     res.json({
       success: true,
@@ -695,25 +669,20 @@ router.get('/:postId', authenticate, async (req, res) => {
       _id: req.params.postId,
       isActive: true
     })
-      .populate('userId', 'username profileImage')
-      .populate('likes.userId', 'username profileImage')
-      .populate('comments.userId', 'username profileImage')
-      .populate('comments.replies.userId', 'username profileImage');
+      .populate('userId', USER_SUMMARY_FIELDS)
+      .populate('likes.userId', USER_SUMMARY_FIELDS)
+      .populate('comments.userId', USER_SUMMARY_FIELDS)
+      .populate('comments.replies.userId', USER_SUMMARY_FIELDS);
 
-    if (!post) {
+    const context = await loadAccountStates(await getViewerContext(req.user._id), post ? getParticipantIds(post) : []);
+    if (!post || isHiddenUser(context, post.userId?._id || post.userId)) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
       });
     }
 
-    const postObj = post.toObject();
-    postObj.isLiked = post.likes.some(like => like.userId._id.toString() === req.user._id.toString());
-    postObj.likeCount = post.likes.length;
-    postObj.commentCount = post.comments.length;
-
-    const user = req.user;
-    postObj.isSaved = user.savedCommunityPosts?.includes(post._id) || false;
+    const postObj = toPostView(context, post, req.user);
 
     res.json({
       success: true,
@@ -768,10 +737,11 @@ router.get('/:postId/comments', authenticate, async (req, res) => {
       _id: req.params.postId,
       isActive: true
     })
-      .populate('comments.userId', 'username profileImage')
-      .populate('comments.replies.userId', 'username profileImage');
+      .populate('comments.userId', USER_SUMMARY_FIELDS)
+      .populate('comments.replies.userId', USER_SUMMARY_FIELDS);
 
-    if (!post) {
+    const context = await loadAccountStates(await getViewerContext(req.user._id), post ? getParticipantIds(post) : []);
+    if (!post || isHiddenUser(context, post.userId?._id || post.userId)) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -779,10 +749,11 @@ router.get('/:postId/comments', authenticate, async (req, res) => {
     }
 
     // Paginate comments
-    const totalComments = post.comments.length;
+    const comments = withoutBlockedComments(context, post.comments);
+    const totalComments = comments.length;
     const startIndex = (page - 1) * limit;
     const endIndex = startIndex + parseInt(limit);
-    const paginatedComments = post.comments.slice(startIndex, endIndex);
+    const paginatedComments = comments.slice(startIndex, endIndex);
 
     res.json({
       success: true,
@@ -848,9 +819,10 @@ router.get('/:postId/comment/:commentId/replies', authenticate, async (req, res)
       _id: req.params.postId,
       isActive: true
     })
-      .populate('comments.replies.userId', 'username profileImage');
+      .populate('comments.replies.userId', USER_SUMMARY_FIELDS);
 
-    if (!post) {
+    const context = await loadAccountStates(await getViewerContext(req.user._id), post ? getParticipantIds(post) : []);
+    if (!post || isBlockedEitherWay(context, post.userId?._id || post.userId)) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -858,7 +830,7 @@ router.get('/:postId/comment/:commentId/replies', authenticate, async (req, res)
     }
 
     const comment = post.comments.id(req.params.commentId);
-    if (!comment) {
+    if (!comment || isBlockedEitherWay(context, comment.userId)) {
       return res.status(404).json({
         success: false,
         message: 'Comment not found'
@@ -866,10 +838,11 @@ router.get('/:postId/comment/:commentId/replies', authenticate, async (req, res)
     }
 
     // Paginate replies
-    const totalReplies = comment.replies.length;
+    const replies = withoutBlockedUsers(context, comment.replies);
+    const totalReplies = replies.length;
     const startIndex = (page - 1) * limit;
     const endIndex = startIndex + parseInt(limit);
-    const paginatedReplies = comment.replies.slice(startIndex, endIndex);
+    const paginatedReplies = replies.slice(startIndex, endIndex);
 
     res.json({
       success: true,
@@ -927,7 +900,8 @@ router.get('/:postId/comment/:commentId/replies', authenticate, async (req, res)
 router.post('/:postId/like', authenticate, async (req, res) => {
   try {
     const post = await CommunityPost.findById(req.params.postId);
-    if (!post) {
+    const context = await getViewerContext(req.user._id);
+    if (!post || isBlockedEitherWay(context, post.userId?._id || post.userId)) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -961,13 +935,13 @@ router.post('/:postId/like', authenticate, async (req, res) => {
       // Create notification for post owner
       if (post.userId.toString() !== req.user._id.toString()) {
         const user = await User.findById(req.user._id).select('username');
-        await new Notification({
+        await createNotification({
           userId: post.userId,
           fromUserId: req.user._id,
           type: 'like',
           message: `${user.username} liked your community post`,
           postId: post._id
-        }).save();
+        });
       }
 
       // Invalidate cache
@@ -1048,7 +1022,8 @@ router.post('/:postId/comment', authenticate, [
     }
 
     const post = await CommunityPost.findById(req.params.postId);
-    if (!post) {
+    const context = await getViewerContext(req.user._id);
+    if (!post || isBlockedEitherWay(context, post.userId?._id || post.userId)) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -1067,19 +1042,19 @@ router.post('/:postId/comment', authenticate, [
     // Create notification for post owner
     if (post.userId.toString() !== req.user._id.toString()) {
       const user = await User.findById(req.user._id).select('username');
-      await new Notification({
+      await createNotification({
         userId: post.userId,
         fromUserId: req.user._id,
         type: 'comment',
         message: `${user.username} commented on your community post`,
         postId: post._id
-      }).save();
+      });
     }
 
     // Invalidate cache
     invalidateCommunityCache(post._id.toString());
 
-    await post.populate('comments.userId', 'username profileImage');
+    await post.populate('comments.userId', USER_SUMMARY_FIELDS);
 
     res.json({
       success: true,
@@ -1149,7 +1124,8 @@ router.post('/:postId/comment/:commentId/reply', authenticate, [
     }
 
     const post = await CommunityPost.findById(req.params.postId);
-    if (!post) {
+    const context = await getViewerContext(req.user._id);
+    if (!post || isBlockedEitherWay(context, post.userId?._id || post.userId)) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -1157,7 +1133,7 @@ router.post('/:postId/comment/:commentId/reply', authenticate, [
     }
 
     const comment = post.comments.id(req.params.commentId);
-    if (!comment) {
+    if (!comment || isBlockedEitherWay(context, comment.userId)) {
       return res.status(404).json({
         success: false,
         message: 'Comment not found'
@@ -1177,31 +1153,31 @@ router.post('/:postId/comment/:commentId/reply', authenticate, [
 
     // Notify comment owner (if different from current user)
     if (comment.userId.toString() !== req.user._id.toString()) {
-      await new Notification({
+      await createNotification({
         userId: comment.userId,
         fromUserId: req.user._id,
         type: 'comment',
         message: `${user.username} replied to your comment`,
         postId: post._id
-      }).save();
+      });
     }
 
     // Notify post owner (if different from current user and comment owner)
     if (post.userId.toString() !== req.user._id.toString() &&
       post.userId.toString() !== comment.userId.toString()) {
-      await new Notification({
+      await createNotification({
         userId: post.userId,
         fromUserId: req.user._id,
         type: 'comment',
         message: `${user.username} replied to a comment on your post`,
         postId: post._id
-      }).save();
+      });
     }
 
     // Invalidate cache
     invalidateCommunityCache(post._id.toString());
 
-    await post.populate('comments.replies.userId', 'username profileImage');
+    await post.populate('comments.replies.userId', USER_SUMMARY_FIELDS);
 
     res.json({
       success: true,
@@ -1,9 +1,17 @@
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
 import Notification from '../models/Notification.js';
+import { USER_SUMMARY_FIELDS } from '../models/User.js';
 
 const router = express.Router();
 
+// Previews of archived posts are only shown to their owner
+const postPreview = (viewerId) => ({
+  path: 'postId',
+  select: 'description media',
+  match: { $or: [{ isArchived: { $ne: true } }, { userId: viewerId }] }
+});
+
 /**
  * @swagger
  * components:
@@ -17,9 +25,10 @@ const router = express.Router();
  *           type: string
  *         fromUserId:
  *           $ref: '#/components/schemas/User'
+ *           description: Empty for verification_approved and verification_rejected
  *         type:
  *           type: string
- *           enum: [like, comment, follow, post, story_view, service_review]
+ *           enum: [like, comment, mention, follow, follow_request, follow_accepted, post, story_view, service_review, verification_approved, verification_rejected]
  *         message:
  *           type: string
  *         postId:
@@ -109,8 +118,8 @@ router.get('/', authenticate, async (req, res) => {
     }
 
     const notifications = await Notification.find(query)
-      .populate('fromUserId', 'username profileImage')
-      .populate('postId', 'description media')
+      .populate('fromUserId', USER_SUMMARY_FIELDS)
+      .populate(postPreview(req.user._id))
       .populate('serviceId', 'serviceName')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
@@ -202,8 +211,8 @@ router.get('/user/:userId', authenticate, async (req, res) => {
     }
 
     const notifications = await Notification.find(query)
-      .populate('fromUserId', 'username profileImage')
-      .populate('postId', 'description media')
+      .populate('fromUserId', USER_SUMMARY_FIELDS)
+      .populate(postPreview(req.user._id))
       .populate('serviceId', 'serviceName')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
@@ -268,8 +277,8 @@ router.get('/unread', authenticate, async (req, res) => {
       userId: req.user._id,
       isRead: false
     })
-      .populate('fromUserId', 'username profileImage')
-      .populate('postId', 'description media')
+      .populate('fromUserId', USER_SUMMARY_FIELDS)
+      .populate(postPreview(req.user._id))
       .populate('serviceId', 'serviceName')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
@@ -328,8 +337,8 @@ router.get('/:notificationId', authenticate, async (req, res) => {
       _id: req.params.notificationId,
       userId: req.user._id
     })
-      .populate('fromUserId', 'username profileImage')
-      .populate('postId', 'description media')
+      .populate('fromUserId', USER_SUMMARY_FIELDS)
+      .populate(postPreview(req.user._id))
       .populate('serviceId', 'serviceName');
 
     if (!notification) {
@@ -1,13 +1,46 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { authenticate } from '../middleware/auth.js';
 import { upload } from '../middleware/upload.js';
 import Post from '../models/Post.js';
-import User from '../models/User.js';
-import Notification from '../models/Notification.js';
+import User, { USER_SUMMARY_FIELDS } from '../models/User.js';
+import { createNotification, createNotifications } from '../utils/notificationService.js';
 import { body, validationResult } from 'express-validator';
+import {
+  getViewerContext,
+  loadAccountStates,
+  getParticipantIds,
+  checkPostVisibility,
+  getVisiblePostsFilter,
+  findVisibleIds,
+  inIdOrder,
+  getPostForViewer,
+  withoutBlockedUsers,
+  getVisibleComments,
+  isBlockedBetween
+} from '../utils/visibility.js';
+import { isRestrictedBy } from '../utils/restrictionService.js';
+import { canInteract } from '../utils/settingsService.js';
+import { notifyMentions } from '../utils/mentionService.js';
+import {
+  applyPostEdit,
+  discardUploads,
+  parseMediaOrder,
+  toPostMedia,
+  deletePost,
+  setPostArchived,
+  MAX_POST_MEDIA
+} from '../utils/postService.js';
+import { removeUploads } from '../utils/uploadCleanup.js';
 
 const router = express.Router();
 
+// Likes the viewer may see: populated likers whose accounts were removed
+// come back null, and blocked or inactive likers are left out
+const withoutRemovedLikers = (context, likes) => {
+  return withoutBlockedUsers(context, likes.filter(like => like.userId));
+};
+
 /**
  * @swagger
  * /api/posts:
@@ -29,7 +62,7 @@ const router = express.Router();
  *                 example: "Beautiful sunset today!"
  *               type:
  *                 type: string
- *                 enum: [public, private, followers]
+ *                 enum: [public, private, followers, close_friends]
  *                 default: public
  *               media:
  *                 type: array
@@ -55,7 +88,7 @@ const router = express.Router();
 // Create post
 router.post('/', authenticate, upload.array('media', 10), [
   body('description').optional().isLength({ max: 2000 }),
-  body('type').isIn(['public', 'private', 'followers']).withMessage('Invalid post type')
+  body('type').isIn(['public', 'private', 'followers', 'close_friends']).withMessage('Invalid post type')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -64,16 +97,7 @@ router.post('/', authenticate, upload.array('media', 10), [
     }
 
     const { description, type } = req.body;
-    const media = [];
-
-    if (req.files && req.files.length > 0) {
-      req.files.forEach(file => {
-        media.push({
-          type: file.mimetype.startsWith('image/') ? 'image' : 'video',
-          url: `/uploads/posts/${file.filename}`
-        });
-      });
-    }
+    const media = (req.files || []).map(toPostMedia);
 
     const post = new Post({
       userId: req.user._id,
@@ -83,12 +107,16 @@ router.post('/', authenticate, upload.array('media', 10), [
     });
 
     await post.save();
-    await post.populate('userId', 'username profileImage');
+    await post.populate('userId', USER_SUMMARY_FIELDS);
 
-    // Create notification for followers
+    // Create notification for followers (only close friends for close friends posts)
     if (type !== 'private') {
-      const user = await User.findById(req.user._id).select('followers username');
-      const notifications = user.followers.map(followerId => ({
+      const user = await User.findById(req.user._id).select('followers closeFriends username');
+      const closeFriends = new Set(user.closeFriends.map(String));
+      const audience = type === 'close_friends'
+        ? user.followers.filter(followerId => closeFriends.has(followerId.toString()))
+        : user.followers;
+      const notifications = audience.map(followerId => ({
         userId: followerId,
         fromUserId: req.user._id,
         type: 'post',
@@ -97,10 +125,12 @@ router.post('/', authenticate, upload.array('media', 10), [
       }));
 
       if (notifications.length > 0) {
-        await Notification.insertMany(notifications);
+        await createNotifications(notifications);
       }
     }
 
+    await notifyMentions({ text: post.description, author: req.user, postId: post._id, where: 'post' });
+
     res.status(201).json({
       success: true,
       message: 'Post created successfully',
@@ -116,7 +146,7 @@ router.post('/', authenticate, upload.array('media', 10), [
  * /api/posts/feed:
  *   get:
  *     tags: [Posts]
- *     summary: Get home feed posts with pagination
+ *     summary: Get home feed posts with pagination (excluding muted users)
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -151,36 +181,42 @@ router.post('/', authenticate, upload.array('media', 10), [
 router.get('/feed', authenticate, async (req, res) => {
   try {
     const { page = 1, limit = 10 } = req.query;
-    const user = await User.findById(req.user._id).select('following blockedUsers');
+    const context = await getViewerContext(req.user._id);
 
-    // Get posts from followed users + suggested posts
-    const posts = await Post.find({
+    // Posts from followed users + public suggestions, as the visibility policy allows,
+    // minus users whose posts the viewer muted. Private and inactive owners are
+    // checked per post while paging.
+    const mutedPosts = [...context.mutedPosts].map(id => new mongoose.Types.ObjectId(id));
+    const postIds = await findVisibleIds(Post, {
       $and: [
-        {
-          $or: [
-            { userId: { $in: user.following } },
-            { type: 'public' }
-          ]
-        },
-        { userId: { $nin: user.blockedUsers } },
-        { isActive: true }
+        getVisiblePostsFilter(context),
+        { isActive: true, isArchived: { $ne: true }, userId: { $nin: mutedPosts } }
       ]
-    })
-      .populate('userId', 'username profileImage isVerified')
-      .populate('likes.userId', 'username profileImage')
-      .populate('comments.userId', 'username profileImage')
-      .populate('comments.replies.userId', 'username profileImage')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    }, context, {
+      sort: { createdAt: -1 },
+      skip: (page - 1) * limit,
+      limit: limit * 1,
+      hidePrivate: true
+    });
+
+    const posts = inIdOrder(await Post.find({ _id: { $in: postIds } })
+      .select('-editHistory')
+      .populate('userId', USER_SUMMARY_FIELDS)
+      .populate('likes.userId', USER_SUMMARY_FIELDS)
+      .populate('comments.userId', USER_SUMMARY_FIELDS)
+      .populate('comments.replies.userId', USER_SUMMARY_FIELDS), postIds);
+    await loadAccountStates(context, posts.flatMap(getParticipantIds));
 
     // Add interaction status for current user
     const postsWithStatus = posts.map(post => {
       const postObj = post.toObject();
-      postObj.isLiked = post.likes.some(like => like.userId._id.toString() === req.user._id.toString());
-      postObj.likeCount = post.likes.length;
-      postObj.commentCount = post.comments.length;
+      postObj.isLiked = post.likes.some(like => like.userId?._id?.toString() === req.user._id.toString());
+      postObj.likes = withoutRemovedLikers(context, postObj.likes);
+      postObj.comments = getVisibleComments(context, postObj.comments, post.userId);
+      postObj.likeCount = postObj.likes.length;
+      postObj.commentCount = postObj.comments.length;
       postObj.shareCount = post.shares.length;
+      postObj.isEdited = !!post.editedAt;
       return postObj;
     });
 
@@ -193,6 +229,63 @@ router.get('/feed', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/posts/archived:
+ *   get:
+ *     tags: [Posts]
+ *     summary: Get my archived posts, most recently archived first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of posts per page
+ *     responses:
+ *       200:
+ *         description: Archived posts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 posts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Post'
+ */
+// Get archived posts
+router.get('/archived', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const posts = await Post.find({ userId: req.user._id, isArchived: true })
+      .select('-likes -comments -shares -reports -editHistory')
+      .populate('userId', USER_SUMMARY_FIELDS)
+      .sort({ archivedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    res.json({
+      success: true,
+      posts
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/posts/{postId}:
@@ -226,33 +319,174 @@ router.get('/feed', authenticate, async (req, res) => {
 // Get post by ID
 router.get('/:postId', authenticate, async (req, res) => {
   try {
-    const post = await Post.findOne({
-      _id: req.params.postId,
-      isActive: true
-    })
-      .populate('userId', 'username profileImage isVerified')
-      .populate('likes.userId', 'username profileImage')
-      .populate('comments.userId', 'username profileImage')
-      .populate('comments.replies.userId', 'username profileImage');
-
-    if (!post) {
+    const post = await Post.findById(req.params.postId)
+      .populate('userId', USER_SUMMARY_FIELDS)
+      .populate('likes.userId', USER_SUMMARY_FIELDS)
+      .populate('comments.userId', USER_SUMMARY_FIELDS)
+      .populate('comments.replies.userId', USER_SUMMARY_FIELDS);
+
+    // The owner's account may have been removed since
+    if (!post || !post.userId) {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    // Check if user is blocked
-    const user = await User.findById(req.user._id).select('blockedUsers');
-    if (user.blockedUsers.includes(post.userId._id)) {
-      return res.status(403).json({ message: 'Access denied' });
+    const [context, owner] = await Promise.all([
+      getViewerContext(req.user._id),
+      User.findById(post.userId._id).select('isPrivate')
+    ]);
+    if (!owner) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    await loadAccountStates(context, getParticipantIds(post));
+    const denied = checkPostVisibility(context, post, owner);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
     }
 
     const postObj = post.toObject();
-    postObj.isLiked = post.likes.some(like => like.userId._id.toString() === req.user._id.toString());
-    postObj.likeCount = post.likes.length;
-    postObj.commentCount = post.comments.length;
+    postObj.isLiked = post.likes.some(like => like.userId?._id?.toString() === req.user._id.toString());
+    postObj.likes = withoutRemovedLikers(context, postObj.likes);
+    postObj.comments = getVisibleComments(context, postObj.comments, post.userId);
+    postObj.likeCount = postObj.likes.length;
+    postObj.commentCount = postObj.comments.length;
     postObj.shareCount = post.shares.length;
+    postObj.isEdited = !!post.editedAt;
+    postObj.editCount = post.editHistory.length;
+    delete postObj.editHistory;
+
+    res.json({
+      success: true,
+      post: postObj
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/posts/{postId}:
+ *   patch:
+ *     tags: [Posts]
+ *     summary: Edit a post (owner only)
+ *     description: |
+ *       Changes the description, visibility and media. The previous version is added to the post's
+ *       edit history and the post is marked as edited. Users newly mentioned in the description are notified.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *                 maxLength: 2000
+ *               type:
+ *                 type: string
+ *                 enum: [public, private, followers, close_friends]
+ *               mediaOrder:
+ *                 type: string
+ *                 description: |
+ *                   JSON array giving the new media order, e.g. ["<mediaId>", "new:0", "<mediaId>"].
+ *                   Existing media are referenced by _id and uploaded files by new:<index>. Existing media
+ *                   left out are removed; uploads left out are added at the end. When omitted, existing
+ *                   media keep their order and uploads are added at the end.
+ *               media:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Images or videos to add (max 10 media per post)
+ *     responses:
+ *       200:
+ *         description: Post updated (or unchanged if nothing differed)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 post:
+ *                   $ref: '#/components/schemas/Post'
+ *       400:
+ *         description: Validation error, unknown media or too many media
+ *       403:
+ *         description: Not the post owner
+ *       404:
+ *         description: Post not found
+ */
+// Edit post
+router.patch('/:postId', authenticate, upload.array('media', MAX_POST_MEDIA), [
+  body('description').optional().isLength({ max: 2000 }),
+  body('type').optional().isIn(['public', 'private', 'followers', 'close_friends']).withMessage('Invalid post type'),
+  body('mediaOrder').optional().customSanitizer(parseMediaOrder)
+    .custom(order => Array.isArray(order) && order.every(entry => typeof entry === 'string'))
+    .withMessage('mediaOrder must be a JSON array of media IDs and new:<index> entries')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await discardUploads(req.files);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { post, error: denied } = await getPostForViewer(req.user._id, req.params.postId);
+    if (denied || !post.isActive) {
+      await discardUploads(req.files);
+      return res.status(denied?.status || 404).json({ message: denied?.message || 'Post not found' });
+    }
+
+    if (!post.userId.equals(req.user._id)) {
+      await discardUploads(req.files);
+      return res.status(403).json({ message: 'Only the post owner can edit it' });
+    }
+
+    const { description, type, mediaOrder } = req.body;
+    const { changed, newMentions, orphanedMedia, error } = applyPostEdit(post, {
+      description,
+      type,
+      mediaOrder,
+      files: req.files
+    });
+    if (error) {
+      await discardUploads(req.files);
+      return res.status(400).json({ message: error });
+    }
+
+    if (changed) {
+      await post.save();
+      await removeUploads(orphanedMedia);
+      if (newMentions.length > 0) {
+        await notifyMentions({
+          text: newMentions.map(handle => `@${handle}`).join(' '),
+          author: req.user,
+          postId: post._id,
+          where: 'post'
+        });
+      }
+    }
+    await post.populate('userId', USER_SUMMARY_FIELDS);
+
+    const postObj = post.toJSON();
+    postObj.editCount = post.editHistory.length;
+    delete postObj.editHistory;
 
     res.json({
       success: true,
+      message: changed ? 'Post updated successfully' : 'Nothing to update',
       post: postObj
     });
   } catch (error) {
@@ -260,6 +494,220 @@ router.get('/:postId', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/posts/{postId}/history:
+ *   get:
+ *     tags: [Posts]
+ *     summary: Get a post's edit history
+ *     description: Earlier versions of the post, newest first, for anyone who can see the post.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Edit history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 editedAt:
+ *                   type: string
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       description:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                       media:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                       editedAt:
+ *                         type: string
+ *                         description: When this version was replaced
+ *       404:
+ *         description: Post not found
+ */
+// Get post edit history
+router.get('/:postId/history', authenticate, async (req, res) => {
+  try {
+    const { post, error: denied } = await getPostForViewer(req.user._id, req.params.postId);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
+    }
+
+    const history = post.editHistory
+      .map(version => ({
+        ...version.toObject(),
+        editedAt: version.editedAt.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })
+      }))
+      .reverse();
+
+    res.json({
+      success: true,
+      editedAt: post.editedAt ? post.editedAt.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }) : null,
+      history
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Loads a post for one of the owner-only actions below. Resolves to
+// { post } or { error }.
+const getOwnPost = async (userId, postId) => {
+  const { post, error } = await getPostForViewer(userId, postId);
+  if (error) return { error };
+  if (!post.userId.equals(userId)) {
+    return { error: { status: 403, message: 'Only the post owner can do this' } };
+  }
+  return { post };
+};
+
+/**
+ * @swagger
+ * /api/posts/{postId}:
+ *   delete:
+ *     tags: [Posts]
+ *     summary: Delete a post permanently (owner only)
+ *     description: Removes the post, its media files (including media of earlier versions) and the notifications about it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Post deleted successfully
+ *       403:
+ *         description: Not the post owner
+ *       404:
+ *         description: Post not found
+ */
+// Delete post
+router.delete('/:postId', authenticate, async (req, res) => {
+  try {
+    const { post, error } = await getOwnPost(req.user._id, req.params.postId);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    await deletePost(post);
+
+    res.json({
+      success: true,
+      message: 'Post deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/posts/{postId}/archive:
+ *   post:
+ *     tags: [Posts]
+ *     summary: Archive a post (owner only)
+ *     description: Hides the post from everyone but the owner, and from feeds and profile posts. Likes and comments are kept.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Post archived
+ *       403:
+ *         description: Not the post owner
+ *       404:
+ *         description: Post not found
+ *   delete:
+ *     tags: [Posts]
+ *     summary: Unarchive a post (owner only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Post restored
+ *       403:
+ *         description: Not the post owner
+ *       404:
+ *         description: Post not found
+ */
+// Archive post
+router.post('/:postId/archive', authenticate, async (req, res) => {
+  try {
+    const { post, error } = await getOwnPost(req.user._id, req.params.postId);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (!post.isArchived) {
+      await setPostArchived(post, true);
+    }
+
+    res.json({
+      success: true,
+      message: 'Post archived',
+      isArchived: true,
+      archivedAt: post.toJSON().archivedAt
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Unarchive post
+router.delete('/:postId/archive', authenticate, async (req, res) => {
+  try {
+    const { post, error } = await getOwnPost(req.user._id, req.params.postId);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (post.isArchived) {
+      await setPostArchived(post, false);
+    }
+
+    res.json({
+      success: true,
+      message: 'Post restored',
+      isArchived: false
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/posts/{postId}/like:
@@ -295,9 +743,9 @@ router.get('/:postId', authenticate, async (req, res) => {
 // Like/Unlike post
 router.post('/:postId/like', authenticate, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.postId);
-    if (!post) {
-      return res.status(404).json({ message: 'Post not found' });
+    const { post, error: denied } = await getPostForViewer(req.user._id, req.params.postId);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
     }
 
     const existingLike = post.likes.find(like =>
@@ -325,13 +773,13 @@ router.post('/:postId/like', authenticate, async (req, res) => {
       // Create notification
       if (post.userId.toString() !== req.user._id.toString()) {
         const user = await User.findById(req.user._id).select('username');
-        await new Notification({
+        await createNotification({
           userId: post.userId,
           fromUserId: req.user._id,
           type: 'like',
           message: `${user.username} liked your post`,
           postId: post._id
-        }).save();
+        });
       }
 
       res.json({
@@ -356,14 +804,22 @@ router.post('/:postId/comment', authenticate, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const post = await Post.findById(req.params.postId);
-    if (!post) {
-      return res.status(404).json({ message: 'Post not found' });
+    const { post, error: denied } = await getPostForViewer(req.user._id, req.params.postId);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
+    }
+
+    if (!(await canInteract(post.userId, req.user._id, 'whoCanComment'))) {
+      return res.status(403).json({ message: 'The author has limited who can comment on this post' });
     }
 
+    // Comments from users the owner restricted wait for approval
+    const pendingApproval = await isRestrictedBy(post.userId, req.user._id);
+
     const comment = {
       userId: req.user._id,
       text: req.body.text,
+      pendingApproval,
       likes: [],
       replies: []
     };
@@ -372,18 +828,21 @@ router.post('/:postId/comment', authenticate, [
     await post.save();
 
     // Populate the new comment
-    await post.populate('comments.userId', 'username profileImage');
+    await post.populate('comments.userId', USER_SUMMARY_FIELDS);
 
-    // Create notification
-    if (post.userId.toString() !== req.user._id.toString()) {
+    // Create notification (not for comments waiting for approval)
+    if (!pendingApproval && post.userId.toString() !== req.user._id.toString()) {
       const user = await User.findById(req.user._id).select('username');
-      await new Notification({
+      await createNotification({
         userId: post.userId,
         fromUserId: req.user._id,
         type: 'comment',
         message: `${user.username} commented on your post`,
         postId: post._id
-      }).save();
+      });
+    }
+    if (!pendingApproval) {
+      await notifyMentions({ text: req.body.text, author: req.user, postId: post._id, where: 'comment' });
     }
 
     res.json({
@@ -424,13 +883,13 @@ router.post('/:postId/comment', authenticate, [
 // Like comment
 router.post('/:postId/comment/:commentId/like', authenticate, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.postId);
-    if (!post) {
-      return res.status(404).json({ message: 'Post not found' });
+    const { post, error: denied } = await getPostForViewer(req.user._id, req.params.postId);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
     }
 
     const comment = post.comments.id(req.params.commentId);
-    if (!comment) {
+    if (!comment || await isBlockedBetween(req.user._id, comment.userId)) {
       return res.status(404).json({ message: 'Comment not found' });
     }
 
@@ -461,12 +920,77 @@ router.post('/:postId/comment/:commentId/like', authenticate, async (req, res) =
   }
 });
 
+/**
+ * @swagger
+ * /api/posts/{postId}/comment/{commentId}/approve:
+ *   post:
+ *     tags: [Posts]
+ *     summary: Approve a comment from a restricted user (post owner only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     responses:
+ *       200:
+ *         description: Comment approved and visible to everyone who can see the post
+ *       403:
+ *         description: Only the post owner can approve comments
+ *       404:
+ *         description: Post or pending comment not found
+ */
+// Approve restricted comment
+router.post('/:postId/comment/:commentId/approve', authenticate, async (req, res) => {
+  try {
+    const { post, error: denied } = await getPostForViewer(req.user._id, req.params.postId);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
+    }
+
+    if (post.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the post owner can approve comments' });
+    }
+
+    const comment = post.comments.id(req.params.commentId);
+    if (!comment || !comment.pendingApproval) {
+      return res.status(404).json({ message: 'Pending comment not found' });
+    }
+
+    comment.pendingApproval = false;
+    await post.save();
+
+    // Mentions in held comments only go out once they are visible
+    const author = await User.findById(comment.userId).select('username');
+    if (author) {
+      await notifyMentions({ text: comment.text, author, postId: post._id, where: 'comment' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment approved',
+      comment
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // Share post
 router.post('/:postId/share', authenticate, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.postId);
-    if (!post) {
-      return res.status(404).json({ message: 'Post not found' });
+    const { post, error: denied } = await getPostForViewer(req.user._id, req.params.postId);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
     }
 
     const existingShare = post.shares.find(share =>
@@ -532,6 +1056,11 @@ router.post('/:postId/report', authenticate, [
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const { error: denied } = await getPostForViewer(req.user._id, req.params.postId);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
+    }
+
     const Report = (await import('../models/Report.js')).default;
 
     const existingReport = await Report.findOne({
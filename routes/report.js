@@ -1,6 +1,8 @@
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
 import Report from '../models/Report.js';
+import { USER_SUMMARY_FIELDS } from '../models/User.js';
+import { getPostForViewer } from '../utils/visibility.js';
 import { body, validationResult } from 'express-validator';
 
 const router = express.Router();
@@ -91,6 +93,12 @@ router.post('/post', authenticate, [
 
     const { reportedPostId, reason, description } = req.body;
 
+    // Only posts the reporter can see may be reported
+    const { error: denied } = await getPostForViewer(req.user._id, reportedPostId);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
+    }
+
     // Check if already reported
     const existingReport = await Report.findOne({
       reportedBy: req.user._id,
@@ -218,7 +226,7 @@ router.post('/service', authenticate, [
 router.get('/my-reports', authenticate, async (req, res) => {
   try {
     const reports = await Report.find({ reportedBy: req.user._id })
-      .populate('reportedUser', 'username profileImage')
+      .populate('reportedUser', USER_SUMMARY_FIELDS)
       .populate('reportedPost', 'description')
       .populate('reportedService', 'serviceName')
       .sort({ createdAt: -1 });
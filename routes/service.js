@@ -1,11 +1,53 @@
 import express from 'express';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, optionalAuth } from '../middleware/auth.js';
 import { upload } from '../middleware/upload.js';
 import Service from '../models/Service.js';
+import { USER_SUMMARY_FIELDS } from '../models/User.js';
 import { body, validationResult } from 'express-validator';
+import {
+  getViewerContext,
+  getGuestContext,
+  loadAccountStates,
+  getParticipantIds,
+  getBlockedUserIds,
+  findVisibleIds,
+  inIdOrder,
+  isHiddenUser,
+  isBlockedBetween,
+  withoutBlockedUsers
+} from '../utils/visibility.js';
+import { applyPresencePrivacy } from '../utils/settingsService.js';
 
 const router = express.Router();
 
+const LISTING_FIELDS = 'serviceName rating address mobileNumbers images category';
+const LISTING_SORT = { 'rating.average': -1, createdAt: -1 };
+
+// Listings are public. Services of accounts that are not active are hidden
+// from everyone; a signed-in viewer also does not see those of users on
+// either side of a block.
+const getListingContext = (req) => {
+  return req.user ? getViewerContext(req.user._id) : getGuestContext();
+};
+
+// One page of listings as the viewer may see them
+const findListings = async (req, query, { page, limit }) => {
+  const context = await getListingContext(req);
+  const serviceIds = await findVisibleIds(Service, {
+    ...query,
+    userId: { $nin: getBlockedUserIds(context) }
+  }, context, {
+    sort: LISTING_SORT,
+    skip: (page - 1) * limit,
+    limit: limit * 1
+  });
+
+  const services = await Service.find({ _id: { $in: serviceIds } })
+    .populate('userId', USER_SUMMARY_FIELDS)
+    .select(LISTING_FIELDS);
+  return inIdOrder(services, serviceIds);
+};
+
 /**
  * @swagger
  * /api/services:
@@ -111,7 +153,7 @@ router.post('/', authenticate, upload.array('images', 10), [
     });
 
     await service.save();
-    await service.populate('userId', 'username profileImage');
+    await service.populate('userId', USER_SUMMARY_FIELDS);
 
     res.status(201).json({
       success: true,
@@ -195,7 +237,7 @@ router.put('/:serviceId', authenticate, upload.array('images', 10), async (req,
       req.params.serviceId,
       updateData,
       { new: true, runValidators: true }
-    ).populate('userId', 'username profileImage');
+    ).populate('userId', USER_SUMMARY_FIELDS);
 
     res.json({
       success: true,
@@ -238,11 +280,11 @@ router.put('/:serviceId', authenticate, upload.array('images', 10), async (req,
  *         description: Services retrieved successfully
  */
 // Get all services
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const { page = 1, limit = 10, category, search } = req.query;
 
-    let query = { isActive: true };
+    const query = { isActive: true };
 
     if (category && category !== 'all') {
       query.category = category;
@@ -252,12 +294,7 @@ router.get('/', async (req, res) => {
       query.$text = { $search: search };
     }
 
-    const services = await Service.find(query)
-      .populate('userId', 'username profileImage')
-      .select('serviceName rating address mobileNumbers images category')
-      .sort({ 'rating.average': -1, createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const services = await findListings(req, query, { page, limit });
 
     res.json({
       success: true,
@@ -269,22 +306,31 @@ router.get('/', async (req, res) => {
 });
 
 // Get service by ID
-router.get('/:serviceId', async (req, res) => {
+router.get('/:serviceId', optionalAuth, async (req, res) => {
   try {
     const service = await Service.findOne({
       _id: req.params.serviceId,
       isActive: true
     })
-      .populate('userId', 'username profileImage mobileNumber isOnline lastSeen')
-      .populate('reviews.userId', 'username profileImage');
+      .populate('userId', `${USER_SUMMARY_FIELDS} mobileNumber isOnline lastSeen`)
+      .populate('reviews.userId', USER_SUMMARY_FIELDS);
 
     if (!service) {
       return res.status(404).json({ message: 'Service not found' });
     }
 
+    const context = await loadAccountStates(await getListingContext(req), getParticipantIds(service));
+    if (!service.userId || isHiddenUser(context, service.userId._id)) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+    service.reviews = withoutBlockedUsers(context, service.reviews);
+
+    const serviceObj = service.toJSON();
+    await applyPresencePrivacy(req.user?._id, [serviceObj.userId]);
+
     res.json({
       success: true,
-      service
+      service: serviceObj
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -326,11 +372,11 @@ router.get('/:serviceId', async (req, res) => {
  *         description: Search results retrieved successfully
  */
 // Search services
-router.get('/search/query', async (req, res) => {
+router.get('/search/query', optionalAuth, async (req, res) => {
   try {
     const { q, category, location, page = 1, limit = 10 } = req.query;
 
-    let query = { isActive: true };
+    const query = { isActive: true };
 
     if (q) {
       query.$or = [
@@ -347,12 +393,7 @@ router.get('/search/query', async (req, res) => {
       query.address = { $regex: location, $options: 'i' };
     }
 
-    const services = await Service.find(query)
-      .populate('userId', 'username profileImage')
-      .select('serviceName rating address mobileNumbers images category')
-      .sort({ 'rating.average': -1, createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const services = await findListings(req, query, { page, limit });
 
     res.json({
       success: true,
@@ -437,19 +478,14 @@ router.get('/trending/categories', async (req, res) => {
  *         description: Services by category retrieved successfully
  */
 // Get services by category
-router.get('/category/:category', async (req, res) => {
+router.get('/category/:category', optionalAuth, async (req, res) => {
   try {
     const { page = 1, limit = 10 } = req.query;
 
-    const services = await Service.find({
+    const services = await findListings(req, {
       category: req.params.category,
       isActive: true
-    })
-      .populate('userId', 'username profileImage')
-      .select('serviceName rating address mobileNumbers images category')
-      .sort({ 'rating.average': -1, createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    }, { page, limit });
 
     res.json({
       success: true,
@@ -510,6 +546,10 @@ router.post('/:serviceId/review', authenticate, [
       return res.status(404).json({ message: 'Service not found' });
     }
 
+    if (await isBlockedBetween(req.user._id, service.userId)) {
+      return res.status(403).json({ message: 'You cannot review this service' });
+    }
+
     // Check if user already reviewed
     const existingReview = service.reviews.find(review =>
       review.userId.toString() === req.user._id.toString()
@@ -537,7 +577,7 @@ router.post('/:serviceId/review', authenticate, [
     await service.save();
 
     // Populate the new review
-    await service.populate('reviews.userId', 'username profileImage');
+    await service.populate('reviews.userId', USER_SUMMARY_FIELDS);
 
     res.json({
       success: true,
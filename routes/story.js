@@ -2,7 +2,15 @@ import express from 'express';
 import { authenticate } from '../middleware/auth.js';
 import { upload } from '../middleware/upload.js';
 import Story from '../models/Story.js';
-import User from '../models/User.js';
+import { USER_SUMMARY_FIELDS } from '../models/User.js';
+import {
+  getViewerContext,
+  loadAccountStates,
+  getParticipantIds,
+  isHiddenUser,
+  checkStoryVisibility,
+  withoutBlockedUsers
+} from '../utils/visibility.js';
 
 const router = express.Router();
 
@@ -27,6 +35,9 @@ const router = express.Router();
  *               type: string
  *             thumbnail:
  *               type: string
+ *         audience:
+ *           type: string
+ *           enum: [followers, close_friends]
  *         viewers:
  *           type: array
  *           items:
@@ -63,6 +74,10 @@ const router = express.Router();
  *                 type: string
  *                 format: binary
  *                 description: Image or video file
+ *               audience:
+ *                 type: string
+ *                 enum: [followers, close_friends]
+ *                 default: followers
  *     responses:
  *       201:
  *         description: Story created successfully
@@ -85,16 +100,22 @@ router.post('/', authenticate, upload.single('media'), async (req, res) => {
       return res.status(400).json({ message: 'Media file is required' });
     }
 
+    const { audience = 'followers' } = req.body;
+    if (!['followers', 'close_friends'].includes(audience)) {
+      return res.status(400).json({ message: 'Invalid story audience' });
+    }
+
     const story = new Story({
       userId: req.user._id,
       media: {
         type: req.file.mimetype.startsWith('image/') ? 'image' : 'video',
         url: `/uploads/stories/${req.file.filename}`
-      }
+      },
+      audience
     });
 
     await story.save();
-    await story.populate('userId', 'username profileImage');
+    await story.populate('userId', USER_SUMMARY_FIELDS);
 
     res.status(201).json({
       success: true,
@@ -111,7 +132,7 @@ router.post('/', authenticate, upload.single('media'), async (req, res) => {
  * /api/stories/feed:
  *   get:
  *     tags: [Stories]
- *     summary: Get stories from following users
+ *     summary: Get stories from following users (excluding muted stories)
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -133,23 +154,29 @@ router.post('/', authenticate, upload.single('media'), async (req, res) => {
  *                         $ref: '#/components/schemas/User'
  *                       stories:
  *                         type: array
+ *                         description: Each story also carries isCloseFriends
  *                         items:
  *                           $ref: '#/components/schemas/Story'
+ *                       hasCloseFriendsStory:
+ *                         type: boolean
  */
 // Get stories from following users
 router.get('/feed', authenticate, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).select('following blockedUsers');
+    const context = await getViewerContext(req.user._id);
+    const following = [...context.following].filter(id => !context.mutedStories.has(id));
+    await loadAccountStates(context, following);
 
     const stories = await Story.find({
-      userId: {
-        $in: user.following,
-        $nin: user.blockedUsers
-      },
+      userId: { $in: following.filter(id => !isHiddenUser(context, id)) },
+      $or: [
+        { audience: { $ne: 'close_friends' } },
+        { userId: { $in: [...context.closeFriendOf] } }
+      ],
       expiresAt: { $gt: new Date() }
     })
-      .populate('userId', 'username profileImage')
-      .populate('viewers.userId', 'username profileImage')
+      .populate('userId', USER_SUMMARY_FIELDS)
+      .populate('viewers.userId', USER_SUMMARY_FIELDS)
       .sort({ createdAt: -1 });
 
     // Group stories by user
@@ -159,10 +186,17 @@ router.get('/feed', authenticate, async (req, res) => {
       if (!groupedStories[userId]) {
         groupedStories[userId] = {
           user: story.userId,
-          stories: []
+          stories: [],
+          hasCloseFriendsStory: false
         };
       }
-      groupedStories[userId].stories.push(story);
+      // Flagged so clients can mark close friends stories
+      const storyObj = story.toJSON();
+      storyObj.isCloseFriends = story.audience === 'close_friends';
+      groupedStories[userId].stories.push(storyObj);
+      if (storyObj.isCloseFriends) {
+        groupedStories[userId].hasCloseFriendsStory = true;
+      }
     });
 
     res.json({
@@ -204,7 +238,7 @@ router.get('/my-stories', authenticate, async (req, res) => {
       userId: req.user._id,
       expiresAt: { $gt: new Date() }
     })
-      .populate('viewers.userId', 'username profileImage')
+      .populate('viewers.userId', USER_SUMMARY_FIELDS)
       .sort({ createdAt: -1 });
 
     res.json({
@@ -224,10 +258,12 @@ router.post('/:storyId/view', authenticate, async (req, res) => {
       return res.status(404).json({ message: 'Story not found' });
     }
 
-    // Check if user can view this story (must be following the story owner)
-    const storyOwner = await User.findById(story.userId).select('followers');
-    if (!storyOwner.followers.includes(req.user._id) && story.userId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
+    // Check if user can view this story (must follow the owner, be on their
+    // close friends list for close friends stories, and no block either way)
+    const context = await loadAccountStates(await getViewerContext(req.user._id), [story.userId]);
+    const denied = checkStoryVisibility(context, story);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
     }
 
     // Check if already viewed
@@ -288,7 +324,7 @@ router.post('/:storyId/view', authenticate, async (req, res) => {
 router.get('/:storyId/viewers', authenticate, async (req, res) => {
   try {
     const story = await Story.findById(req.params.storyId)
-      .populate('viewers.userId', 'username profileImage');
+      .populate('viewers.userId', USER_SUMMARY_FIELDS);
 
     if (!story) {
       return res.status(404).json({ message: 'Story not found' });
@@ -299,9 +335,11 @@ router.get('/:storyId/viewers', authenticate, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    const context = await loadAccountStates(await getViewerContext(req.user._id), getParticipantIds(story));
+
     res.json({
       success: true,
-      viewers: story.viewers
+      viewers: withoutBlockedUsers(context, story.viewers)
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -1,9 +1,70 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { authenticate } from '../middleware/auth.js';
-import { upload } from '../middleware/upload.js';
-import User from '../models/User.js';
+import { upload, uploadVerificationDocuments } from '../middleware/upload.js';
+import User, { USER_SUMMARY_FIELDS } from '../models/User.js';
 import Post from '../models/Post.js';
-import { body, validationResult } from 'express-validator';
+import Notification from '../models/Notification.js';
+import { createNotification } from '../utils/notificationService.js';
+import { body, query, validationResult } from 'express-validator';
+import { requestAccountDeletion, cancelAccountDeletion, DELETION_GRACE_DAYS } from '../utils/accountDeletion.js';
+import { startDataExport, generateDownloadToken, resolveDownloadToken } from '../utils/dataExport.js';
+import { deactivateAccount } from '../utils/accountStatus.js';
+import { getAccountRestriction } from '../utils/authService.js';
+import DataExport from '../models/DataExport.js';
+import FollowRequest from '../models/FollowRequest.js';
+import { registerDevice, unregisterDevice, getUserDevices } from '../utils/pushService.js';
+import { getClientInfo } from '../utils/sessionService.js';
+import {
+  normalizeUsername,
+  checkUsernameAvailability,
+  checkUsernameChangeAllowed,
+  recordUsernameChange,
+  findUserByIdOrHandle
+} from '../utils/usernameService.js';
+import {
+  canViewAccountContent,
+  followUser,
+  unfollowUser,
+  createFollowRequest,
+  approveFollowRequest,
+  approveAllFollowRequests,
+  getFollowListPage,
+  getMutualFollowerIds,
+  getMutualFollowersSummary
+} from '../utils/followService.js';
+import {
+  getViewerContext,
+  loadAccountStates,
+  isHiddenUser,
+  checkAccountVisibility,
+  getVisiblePostsFilter,
+  getBlockedUserIds,
+  isBlockedBetween
+} from '../utils/visibility.js';
+import { invalidateCommunityCache } from '../utils/cache.js';
+import { authEvents } from '../utils/authEvents.js';
+import { setMute, getMutedUsers, restrictUser, unrestrictUser } from '../utils/restrictionService.js';
+import {
+  getFriendSuggestions,
+  dismissSuggestion,
+  SUGGESTIONS_DEFAULT_LIMIT,
+  SUGGESTIONS_MAX_LIMIT
+} from '../utils/suggestionService.js';
+import { searchUsers, recordRecentSearch, getRecentSearches, SEARCH_QUERY_MAX_LENGTH } from '../utils/userSearchService.js';
+import RecentSearch from '../models/RecentSearch.js';
+import VerificationRequest from '../models/VerificationRequest.js';
+import { checkVerificationRequestAllowed, discardDocuments, VERIFICATION_REAPPLY_DAYS } from '../utils/verificationService.js';
+import { getUserSettings, updateUserSettings, applyPresencePrivacy } from '../utils/settingsService.js';
+import { getPresenceSnapshot, MAX_PRESENCE_SUBSCRIPTIONS } from '../utils/presenceService.js';
+import { recordProfileView, getProfileViewStats, PROFILE_VIEW_RETENTION_DAYS } from '../utils/profileViewService.js';
+import { PROFILE_VIEW_SOURCES } from '../models/ProfileView.js';
+import {
+  INTERACTION_AUDIENCES,
+  PRESENCE_AUDIENCES,
+  NOTIFICATION_PREFERENCES,
+  SUPPORTED_LANGUAGES
+} from '../models/UserSettings.js';
 
 const router = express.Router();
 
@@ -33,8 +94,8 @@ router.get('/profile', authenticate, async (req, res) => {
   try {
     const user = await User.findById(req.user._id)
       .select('-__v')
-      .populate('followers', 'username profileImage')
-      .populate('following', 'username profileImage');
+      .populate('followers', USER_SUMMARY_FIELDS)
+      .populate('following', USER_SUMMARY_FIELDS);
 
     res.json({
       success: true,
@@ -45,89 +106,2204 @@ router.get('/profile', authenticate, async (req, res) => {
   }
 });
 
-// Get user by ID
-router.get('/:userId', authenticate, async (req, res) => {
+/**
+ * @swagger
+ * /api/users/devices:
+ *   post:
+ *     tags: [Users]
+ *     summary: Register a device for push notifications
+ *     description: Call on every app start; re-registering refreshes lastSeenAt. Tokens not seen for PUSH_TOKEN_STALE_DAYS are removed.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - platform
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: FCM registration token
+ *               platform:
+ *                 type: string
+ *                 enum: [android, ios, web]
+ *               appVersion:
+ *                 type: string
+ *               deviceId:
+ *                 type: string
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Device registered successfully
+ */
+// Register push device
+router.post('/devices', authenticate, [
+  body('token').isString().trim().notEmpty().withMessage('Push token is required'),
+  body('platform').isIn(['android', 'ios', 'web']).withMessage('Platform must be android, ios or web'),
+  body('appVersion').optional().isString().isLength({ max: 30 }),
+  body('deviceName').optional().isString().isLength({ max: 100 })
+], async (req, res) => {
   try {
-    const user = await User.findById(req.params.userId)
-      .select('-blockedUsers -__v')
-      .populate('followers', 'username profileImage')
-      .populate('following', 'username profileImage');
-
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
     }
 
-    // Check if current user is blocked
-    if (user.blockedUsers.includes(req.user._id)) {
-      return res.status(403).json({ message: 'You are blocked by this user' });
-    }
+    const { deviceId, deviceName } = getClientInfo(req);
+    const device = await registerDevice(req.user._id, {
+      token: req.body.token,
+      platform: req.body.platform,
+      appVersion: req.body.appVersion,
+      deviceId,
+      deviceName,
+      sessionId: req.sessionId
+    });
 
     res.json({
       success: true,
-      user
+      message: 'Device registered successfully',
+      device
     });
   } catch (error) {
-    res.status(500).json({ message: 'Server error', error: error.message });
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
   }
 });
 
 /**
  * @swagger
- * /api/users/profile:
- *   put:
+ * /api/users/devices:
+ *   get:
  *     tags: [Users]
- *     summary: Update user profile
+ *     summary: Get my registered push devices
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Devices retrieved successfully
+ */
+// Get push devices
+router.get('/devices', authenticate, async (req, res) => {
+  try {
+    const devices = await getUserDevices(req.user._id);
+
+    res.json({
+      success: true,
+      devices: devices.map(device => ({
+        ...device.toJSON(),
+        isCurrent: device.sessionId?.toString() === req.sessionId?.toString()
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/devices:
+ *   delete:
+ *     tags: [Users]
+ *     summary: Unregister a push device
  *     security:
  *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
- *         multipart/form-data:
+ *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - token
  *             properties:
- *               username:
- *                 type: string
- *                 minLength: 3
- *                 maxLength: 30
- *               email:
- *                 type: string
- *                 format: email
- *               bio:
- *                 type: string
- *                 maxLength: 150
- *               location:
+ *               token:
  *                 type: string
- *                 maxLength: 100
- *               profession:
- *                 type: string
- *                 maxLength: 100
- *               about:
- *                 type: string
- *                 maxLength: 500
- *               website:
- *                 type: string
- *                 format: uri
- *               instagramHandle:
- *                 type: string
- *                 maxLength: 50
- *               profileImage:
- *                 type: string
- *                 format: binary
  *     responses:
  *       200:
- *         description: Profile updated successfully
+ *         description: Device unregistered successfully
+ *       404:
+ *         description: Device not found
  */
-// Update profile
-router.put('/profile', authenticate, upload.single('profileImage'), [
-  body('username').optional().isLength({ min: 3, max: 30 }),
-  body('email').optional().isEmail(),
-  body('bio').optional().isLength({ max: 150 }),
-  body('location').optional().isLength({ max: 100 }),
-  body('profession').optional().isLength({ max: 100 }),
-  body('about').optional().isLength({ max: 500 }),
-  body('website').optional().isURL(),
-  body('instagramHandle').optional().isLength({ max: 50 })
+// Unregister push device
+router.delete('/devices', authenticate, [
+  body('token').isString().notEmpty().withMessage('Push token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const device = await unregisterDevice(req.user._id, req.body.token);
+    if (!device) {
+      return res.status(404).json({ success: false, message: 'Device not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device unregistered successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/username/check:
+ *   get:
+ *     tags: [Users]
+ *     summary: Check if a username is available
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Availability result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 username:
+ *                   type: string
+ *                 available:
+ *                   type: boolean
+ *                 reason:
+ *                   type: string
+ */
+// Check username availability
+router.get('/username/check', authenticate, async (req, res) => {
+  try {
+    const username = normalizeUsername(req.query.username);
+    const { available, reason } = await checkUsernameAvailability(username, req.user._id);
+
+    res.json({
+      success: true,
+      username,
+      available,
+      reason
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/close-friends:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get your close friends list
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Close friends retrieved successfully
+ */
+// Get close friends
+router.get('/close-friends', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('closeFriends', USER_SUMMARY_FIELDS)
+      .select('closeFriends');
+
+    res.json({
+      success: true,
+      closeFriends: user.closeFriends
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/close-friends/{userId}:
+ *   post:
+ *     tags: [Users]
+ *     summary: Add a user to your close friends list
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User added to close friends
+ *       400:
+ *         description: Invalid user ID, or yourself
+ *       403:
+ *         description: Either user has blocked the other
+ *       404:
+ *         description: User not found
+ *   delete:
+ *     tags: [Users]
+ *     summary: Remove a user from your close friends list
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User removed from close friends
+ */
+// Add close friend
+router.post('/close-friends/:userId', authenticate, async (req, res) => {
+  try {
+    const targetUserId = req.params.userId;
+    if (!mongoose.isValidObjectId(targetUserId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    if (targetUserId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot add yourself to close friends' });
+    }
+
+    // Deactivated, suspended and banned accounts are hidden from everyone else
+    const targetUser = await User.findById(targetUserId).select('status suspendedUntil');
+    if (!targetUser || getAccountRestriction(targetUser)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // A block removed the two from each other's lists; they must not come back
+    if (await isBlockedBetween(req.user._id, targetUserId)) {
+      return res.status(403).json({ message: 'You cannot add this user to close friends' });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, { $addToSet: { closeFriends: targetUserId } });
+
+    res.json({
+      success: true,
+      message: 'Added to close friends',
+      isCloseFriend: true
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Remove close friend
+router.delete('/close-friends/:userId', authenticate, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { $pull: { closeFriends: req.params.userId } });
+
+    res.json({
+      success: true,
+      message: 'Removed from close friends',
+      isCloseFriend: false
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/search:
+ *   get:
+ *     tags: [Users]
+ *     summary: Search users by username, profession or location
+ *     description: Ranks exact, prefix, partial and close (typo) matches, boosting users you follow and verified users. Blocked users are excluded. The first page of each search is saved to recent searches.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Search results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FollowListUser'
+ *                 pagination:
+ *                   type: object
+ */
+// Search users
+router.get('/search', authenticate, [
+  query('q').trim().notEmpty().isLength({ max: SEARCH_QUERY_MAX_LENGTH }).withMessage(`Search query is required and max ${SEARCH_QUERY_MAX_LENGTH} characters`),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { users, total } = await searchUsers(req.user._id, req.query.q, { page, limit });
+
+    if (page === 1) {
+      await recordRecentSearch(req.user._id, req.query.q);
+    }
+
+    res.json({
+      success: true,
+      users,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/search/recent:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get your recent user searches
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Recent searches, newest first
+ *   delete:
+ *     tags: [Users]
+ *     summary: Clear all recent searches
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Recent searches cleared
+ */
+// Get recent searches
+router.get('/search/recent', authenticate, async (req, res) => {
+  try {
+    const searches = await getRecentSearches(req.user._id);
+
+    res.json({
+      success: true,
+      searches
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Clear recent searches
+router.delete('/search/recent', authenticate, async (req, res) => {
+  try {
+    await RecentSearch.deleteMany({ userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Recent searches cleared'
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/search/recent/{searchId}:
+ *   delete:
+ *     tags: [Users]
+ *     summary: Remove one recent search
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: searchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recent search removed
+ *       404:
+ *         description: Recent search not found
+ */
+// Remove recent search
+router.delete('/search/recent/:searchId', authenticate, async (req, res) => {
+  try {
+    const search = await RecentSearch.findOneAndDelete({ _id: req.params.searchId, userId: req.user._id });
+    if (!search) {
+      return res.status(404).json({ message: 'Recent search not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Recent search removed'
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/verification:
+ *   post:
+ *     tags: [Users]
+ *     summary: Apply for the verified badge
+ *     description: Supporting documents (ID proof, business registration, press coverage) are only visible to admins. After a rejection you can apply again once VERIFICATION_REAPPLY_DAYS (default 30) have passed.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - category
+ *               - fullName
+ *               - documents
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 enum: [creator, public_figure, business, organization, journalist, other]
+ *               fullName:
+ *                 type: string
+ *               knownAs:
+ *                 type: string
+ *               links:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Websites, articles or other profiles that show you are notable
+ *               notes:
+ *                 type: string
+ *               documents:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: 1 to 5 images or PDFs, 10MB each
+ *     responses:
+ *       201:
+ *         description: Verification request submitted
+ *       400:
+ *         description: Validation error, or the account is already verified
+ *       409:
+ *         description: A request is already under review
+ *       429:
+ *         description: Rejected too recently; reapplyAt holds the earliest date to apply again
+ *   get:
+ *     tags: [Users]
+ *     summary: Get my badge and latest verification request
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Badge status and latest request (null if never applied)
+ */
+// Apply for verification
+router.post('/verification', authenticate, uploadVerificationDocuments, [
+  body('category').isIn(['creator', 'public_figure', 'business', 'organization', 'journalist', 'other']),
+  body('fullName').trim().notEmpty().isLength({ max: 100 }).withMessage('Full name is required and max 100 characters'),
+  body('knownAs').optional().trim().isLength({ max: 100 }),
+  body('links').optional().toArray().isArray({ max: 5 }).withMessage('Up to 5 links allowed'),
+  body('links.*').trim().isURL().withMessage('Links must be valid URLs'),
+  body('notes').optional().isLength({ max: 1000 })
+], async (req, res) => {
+  const files = req.files || [];
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await discardDocuments(files.map(file => file.path));
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'At least one supporting document is required' });
+    }
+
+    const refused = await checkVerificationRequestAllowed(req.user);
+    if (refused) {
+      await discardDocuments(files.map(file => file.path));
+      const { status, ...details } = refused;
+      return res.status(status).json(details);
+    }
+
+    const { category, fullName, knownAs, links, notes } = req.body;
+    const request = await new VerificationRequest({
+      userId: req.user._id,
+      category,
+      fullName,
+      knownAs,
+      links,
+      notes,
+      documents: files.map(file => ({
+        path: file.path,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size
+      }))
+    }).save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Verification request submitted',
+      request
+    });
+  } catch (error) {
+    await discardDocuments(files.map(file => file.path));
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get verification status
+router.get('/verification', authenticate, async (req, res) => {
+  try {
+    const request = await VerificationRequest.findOne({ userId: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      verifiedBadge: req.user.verifiedBadge,
+      verifiedBadgeAt: req.user.verifiedBadgeAt,
+      request,
+      reapplyDays: VERIFICATION_REAPPLY_DAYS
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UserSettings:
+ *       type: object
+ *       properties:
+ *         presence:
+ *           type: object
+ *           properties:
+ *             showOnlineStatusTo:
+ *               type: string
+ *               enum: [everyone, followers, nobody]
+ *             showLastSeenTo:
+ *               type: string
+ *               enum: [everyone, followers, nobody]
+ *         privacy:
+ *           type: object
+ *           description: followers = people who follow you, following = people you follow
+ *           properties:
+ *             whoCanMessage:
+ *               type: string
+ *               enum: [everyone, followers, following, nobody]
+ *             whoCanComment:
+ *               type: string
+ *               enum: [everyone, followers, following, nobody]
+ *             whoCanMention:
+ *               type: string
+ *               enum: [everyone, followers, following, nobody]
+ *         profileViews:
+ *           type: object
+ *           properties:
+ *             showViewers:
+ *               type: boolean
+ *               description: See who viewed your profile; you then also appear to the people whose profiles you view
+ *         notifications:
+ *           type: object
+ *           description: One switch per notification type (like, comment, mention, follow, follow_request, follow_accepted, post, story_view, service_review, verification)
+ *           additionalProperties:
+ *             type: boolean
+ *         language:
+ *           type: string
+ *           enum: [en, hi, bn, ta, te, mr, gu, kn, ml, pa]
+ *         timezone:
+ *           type: string
+ *           example: Asia/Kolkata
+ */
+
+/**
+ * @swagger
+ * /api/users/settings:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get my settings
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Settings, with defaults for anything never changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 settings:
+ *                   $ref: '#/components/schemas/UserSettings'
+ *   patch:
+ *     tags: [Users]
+ *     summary: Update my settings
+ *     description: Send only the fields to change, e.g. privacy.whoCanMessage on its own.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UserSettings'
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: Validation error
+ */
+// Get settings
+router.get('/settings', authenticate, async (req, res) => {
+  try {
+    const settings = await getUserSettings(req.user._id);
+
+    res.json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update settings
+router.patch('/settings', authenticate, [
+  body('presence.showOnlineStatusTo').optional().isIn(PRESENCE_AUDIENCES),
+  body('presence.showLastSeenTo').optional().isIn(PRESENCE_AUDIENCES),
+  body('privacy.whoCanMessage').optional().isIn(INTERACTION_AUDIENCES),
+  body('privacy.whoCanComment').optional().isIn(INTERACTION_AUDIENCES),
+  body('privacy.whoCanMention').optional().isIn(INTERACTION_AUDIENCES),
+  body('profileViews.showViewers').optional().isBoolean().toBoolean(),
+  ...NOTIFICATION_PREFERENCES.map(type => body(`notifications.${type}`).optional().isBoolean().toBoolean()),
+  body('language').optional().isIn(SUPPORTED_LANGUAGES),
+  body('timezone').optional().custom(timezone => {
+    // Throws RangeError for anything that is not an IANA time zone
+    Intl.DateTimeFormat('en-IN', { timeZone: timezone });
+    return true;
+  }).withMessage('Invalid time zone')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const settings = await updateUserSettings(req.user._id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully',
+      settings
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/presence/subscribe:
+ *   post:
+ *     tags: [Users]
+ *     summary: Get and subscribe to the presence of users
+ *     description: |
+ *       Returns the current presence of the listed users and joins the caller's connected sockets to their
+ *       userOnline/userOffline events. Followers and chat partners get these events without subscribing.
+ *       Subscriptions last as long as the socket, so call again after reconnecting. Blocked and unavailable
+ *       users are left out, and isOnline/lastSeen are omitted where the user's presence settings hide them.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userIds]
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Current presence of the visible users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 presence:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       userId:
+ *                         type: string
+ *                       isOnline:
+ *                         type: boolean
+ *                       lastSeen:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: Validation error
+ */
+// Subscribe to presence
+router.post('/presence/subscribe', authenticate, [
+  body('userIds').isArray({ min: 1, max: MAX_PRESENCE_SUBSCRIPTIONS })
+    .withMessage(`userIds must list 1 to ${MAX_PRESENCE_SUBSCRIPTIONS} users`),
+  body('userIds.*').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const presence = await getPresenceSnapshot(req.user._id, req.body.userIds);
+
+    // Lets the socket layer join the caller's sockets to the presence rooms
+    authEvents.emit('presenceSubscribed', {
+      userId: req.user._id.toString(),
+      userIds: presence.map(entry => entry.userId.toString())
+    });
+
+    res.json({
+      success: true,
+      presence
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/presence/unsubscribe:
+ *   post:
+ *     tags: [Users]
+ *     summary: Stop presence events for users
+ *     description: Does not affect events received as a follower or chat partner.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userIds]
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribed
+ */
+// Unsubscribe from presence
+router.post('/presence/unsubscribe', authenticate, [
+  body('userIds').isArray({ min: 1, max: MAX_PRESENCE_SUBSCRIPTIONS })
+    .withMessage(`userIds must list 1 to ${MAX_PRESENCE_SUBSCRIPTIONS} users`),
+  body('userIds.*').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    authEvents.emit('presenceUnsubscribed', {
+      userId: req.user._id.toString(),
+      userIds: req.body.userIds
+    });
+
+    res.json({
+      success: true,
+      message: 'Unsubscribed from presence updates'
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/profile-views:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get my profile view analytics
+ *     description: |
+ *       Views are counted once per viewer per day, in your time zone setting. Recent viewers are only
+ *       returned when profileViews.showViewers is on in your settings, and only list viewers who turned
+ *       it on too.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 90
+ *         description: Days to cover, up to PROFILE_VIEW_RETENTION_DAYS
+ *     responses:
+ *       200:
+ *         description: Daily views, top referrers and, if opted in, recent viewers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 stats:
+ *                   type: object
+ *                   properties:
+ *                     totalViews:
+ *                       type: integer
+ *                     uniqueViewers:
+ *                       type: integer
+ *                     daily:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           date:
+ *                             type: string
+ *                             example: '2025-01-31'
+ *                           views:
+ *                             type: integer
+ *                     topReferrers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           source:
+ *                             type: string
+ *                             enum: [feed, search, post, community, direct]
+ *                           views:
+ *                             type: integer
+ *                     showViewers:
+ *                       type: boolean
+ *                     recentViewers:
+ *                       type: array
+ *                       nullable: true
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           user:
+ *                             $ref: '#/components/schemas/FollowListUser'
+ *                           visits:
+ *                             type: integer
+ *                             description: Days with a visit in the period
+ *                           lastViewedAt:
+ *                             type: string
+ *                             format: date-time
+ *       400:
+ *         description: Validation error
+ */
+// Get profile view analytics
+router.get('/profile-views', authenticate, [
+  query('days').optional().isInt({ min: 1, max: PROFILE_VIEW_RETENTION_DAYS }).toInt()
+    .withMessage(`days must be between 1 and ${PROFILE_VIEW_RETENTION_DAYS}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const stats = await getProfileViewStats(req.user._id, { days: req.query.days || 30 });
+
+    res.json({
+      success: true,
+      stats
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get user by ID or username
+ *     description: Looking up a handle the user has since changed redirects (301) to their current username.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID, username or former username
+ *       - in: query
+ *         name: ref
+ *         schema:
+ *           type: string
+ *           enum: [feed, search, post, community]
+ *         description: Where the visit came from, for the owner's profile view analytics (direct when omitted)
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully, with followerCount, followingCount, and youFollow, followsYou and mutualFollowers ({ count, users }) relative to the viewer. The lists themselves come from /followers and /following.
+ *       301:
+ *         description: Former username; follow the Location header
+ *       404:
+ *         description: User not found
+ */
+// Get user by ID
+router.get('/:userId', authenticate, async (req, res) => {
+  try {
+    const { user: match, redirectedFrom } = await findUserByIdOrHandle(req.params.userId);
+
+    if (!match) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (redirectedFrom) {
+      const ref = req.query.ref ? `?ref=${encodeURIComponent(req.query.ref)}` : '';
+      return res.redirect(301, `/api/users/${encodeURIComponent(match.username)}${ref}`);
+    }
+
+    // Follower and following lists are paged by GET /:userId/followers and
+    // /following; the profile only carries their counts
+    const user = await User.findById(match._id).select('-__v');
+
+    // Deactivated, suspended and banned accounts are hidden from everyone else
+    if (!user || (!user._id.equals(req.user._id) && getAccountRestriction(user))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Check if current user is blocked
+    if (user.blockedUsers.some(id => id.toString() === req.user._id.toString())) {
+      return res.status(403).json({ message: 'You are blocked by this user' });
+    }
+
+    const canViewContent = canViewAccountContent(req.user._id, user);
+
+    const profile = user.toJSON();
+    delete profile.followers;
+    delete profile.following;
+    delete profile.blockedUsers;
+    delete profile.mutedPosts;
+    delete profile.mutedStories;
+    delete profile.restrictedUsers;
+    delete profile.closeFriends;
+    delete profile.dismissedSuggestions;
+    profile.followerCount = user.followers.length;
+    profile.followingCount = user.following.length;
+
+    // Relationship to the viewer and "followed by people you know"
+    const viewer = await User.findById(req.user._id).select('followers following blockedUsers');
+    profile.youFollow = viewer.following.some(id => id.equals(user._id));
+    profile.followsYou = viewer.followers.some(id => id.equals(user._id));
+    profile.mutualFollowers = await getMutualFollowersSummary(viewer, user, viewer.blockedUsers);
+
+    if (!canViewContent) {
+      // Private account: only the profile header is visible
+      profile.followRequested = !!(await FollowRequest.exists({ requesterId: req.user._id, targetId: user._id }));
+    }
+    await applyPresencePrivacy(req.user._id, [profile]);
+
+    // Analytics must never break the profile itself
+    const source = PROFILE_VIEW_SOURCES.includes(req.query.ref) ? req.query.ref : 'direct';
+    recordProfileView(user._id, req.user._id, source)
+      .catch(err => console.error('Profile view record error:', err.message));
+
+    res.json({
+      success: true,
+      user: profile,
+      canViewContent
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/profile:
+ *   put:
+ *     tags: [Users]
+ *     summary: Update user profile
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 30
+ *                 pattern: '^[a-z0-9._]+$'
+ *                 description: Lowercase letters, numbers, periods and underscores. Limited by USERNAME_CHANGE_LIMIT per USERNAME_CHANGE_WINDOW_DAYS.
+ *               bio:
+ *                 type: string
+ *                 maxLength: 150
+ *               location:
+ *                 type: string
+ *                 maxLength: 100
+ *               profession:
+ *                 type: string
+ *                 maxLength: 100
+ *               about:
+ *                 type: string
+ *                 maxLength: 500
+ *               website:
+ *                 type: string
+ *                 format: uri
+ *               instagramHandle:
+ *                 type: string
+ *                 maxLength: 50
+ *               isPrivate:
+ *                 type: boolean
+ *                 description: Private accounts approve followers; switching to public approves pending requests
+ *               profileImage:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ */
+// Update profile
+router.put('/profile', authenticate, upload.single('profileImage'), [
+  body('username').optional().customSanitizer(normalizeUsername).isLength({ min: 3, max: 30 }),
+  body('email').not().exists().withMessage('Use /api/auth/email/link to change your email'),
+  body('bio').optional().isLength({ max: 150 }),
+  body('location').optional().isLength({ max: 100 }),
+  body('profession').optional().isLength({ max: 100 }),
+  body('about').optional().isLength({ max: 500 }),
+  body('website').optional().isURL(),
+  body('instagramHandle').optional().isLength({ max: 50 }),
+  body('isPrivate').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Only profile fields; email, verification and status have their own flows
+    const allowedFields = ['username', 'bio', 'location', 'profession', 'about', 'website', 'instagramHandle', 'isPrivate'];
+    const updateData = {};
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    });
+
+    if (req.file) {
+      updateData.profileImage = `/uploads/profiles/${req.file.filename}`;
+    }
+
+    // Username changes follow the naming rules and the change limit
+    const usernameChanged = updateData.username && updateData.username !== req.user.username;
+    if (usernameChanged) {
+      const { available, reason } = await checkUsernameAvailability(updateData.username, req.user._id);
+      if (!available) {
+        return res.status(400).json({ message: reason });
+      }
+
+      const { allowed, nextChangeAt } = await checkUsernameChangeAllowed(req.user._id);
+      if (!allowed) {
+        return res.status(429).json({
+          message: 'You have changed your username too many times. Try again later.',
+          nextChangeAt
+        });
+      }
+    } else {
+      delete updateData.username;
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      updateData,
+      { new: true, runValidators: true }
+    ).select('-__v');
+
+    if (usernameChanged) {
+      await recordUsernameChange(req.user._id, req.user.username, user.username);
+    }
+
+    // Going public lets everyone who asked in
+    if (req.user.isPrivate && user.isPrivate === false) {
+      await approveAllFollowRequests(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      user
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/account:
+ *   delete:
+ *     tags: [Users]
+ *     summary: Request deletion of my account
+ *     description: The account is deleted for good once the grace period (ACCOUNT_DELETION_GRACE_DAYS, default 30) ends. Other devices are signed out; logging in again and cancelling restores the account.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Account scheduled for deletion
+ *       400:
+ *         description: Deletion already requested
+ */
+// Request account deletion
+router.delete('/account', authenticate, [
+  body('reason').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    if (req.user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion is already scheduled',
+        deletionScheduledFor: req.user.deletionScheduledFor
+      });
+    }
+
+    const user = await requestAccountDeletion(req.user._id, {
+      exceptSessionId: req.sessionId,
+      reason: req.body?.reason || ''
+    });
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted in ${DELETION_GRACE_DAYS} days unless you cancel`,
+      deletionScheduledFor: user.deletionScheduledFor
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/account/cancel-deletion:
+ *   post:
+ *     tags: [Users]
+ *     summary: Cancel a pending account deletion
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Account deletion cancelled
+ *       400:
+ *         description: No deletion is pending
+ */
+// Cancel account deletion
+router.post('/account/cancel-deletion', authenticate, async (req, res) => {
+  try {
+    if (!req.user.deletionScheduledFor) {
+      return res.status(400).json({ success: false, message: 'No account deletion is pending' });
+    }
+
+    await cancelAccountDeletion(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/account/deactivate:
+ *   post:
+ *     tags: [Users]
+ *     summary: Deactivate my account
+ *     description: Hides the profile, posts, stories and other content from everyone and signs out every device. Logging in again reactivates the account.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Account deactivated
+ */
+// Deactivate account
+router.post('/account/deactivate', authenticate, [
+  body('reason').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    await deactivateAccount(req.user._id, { reason: req.body?.reason || '', req });
+
+    res.json({
+      success: true,
+      message: 'Your account has been deactivated. Log in again to reactivate it.'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/data-export:
+ *   post:
+ *     tags: [Users]
+ *     summary: Request a copy of my data
+ *     description: Starts a background job that builds a ZIP archive with the profile, posts and media, stories, community questions and answers, services and reviews, chats, notifications, reports filed and followers/following.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Export started
+ *       409:
+ *         description: An export is already in progress
+ */
+// Start data export
+router.post('/data-export', authenticate, async (req, res) => {
+  try {
+    const inProgress = await DataExport.findOne({
+      userId: req.user._id,
+      status: { $in: ['pending', 'processing'] }
+    });
+    if (inProgress) {
+      return res.status(409).json({
+        success: false,
+        message: 'An export is already in progress',
+        exportId: inProgress._id
+      });
+    }
+
+    const dataExport = await startDataExport(req.user._id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Your data export has started',
+      export: dataExport
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/data-export/download/{token}:
+ *   get:
+ *     tags: [Users]
+ *     summary: Download a data export archive
+ *     description: The token comes from the downloadUrl of a ready export and expires after DATA_EXPORT_LINK_TTL_MINUTES.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       410:
+ *         description: Link invalid or expired
+ */
+// Download data export
+router.get('/data-export/download/:token', async (req, res) => {
+  try {
+    const dataExport = await resolveDownloadToken(req.params.token);
+    if (!dataExport) {
+      return res.status(410).json({ success: false, message: 'Download link is invalid or has expired' });
+    }
+
+    res.download(dataExport.filePath, `lykechat-data-${dataExport._id}.zip`, (err) => {
+      if (err && !res.headersSent) {
+        res.status(410).json({ success: false, message: 'Export file is no longer available' });
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/data-export/{exportId}:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get data export status
+ *     description: Once the export is ready the response includes a time-limited downloadUrl.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: exportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export status retrieved successfully
+ *       404:
+ *         description: Export not found
+ */
+// Get data export status
+router.get('/data-export/:exportId', authenticate, async (req, res) => {
+  try {
+    const dataExport = await DataExport.findOne({ _id: req.params.exportId, userId: req.user._id });
+    if (!dataExport) {
+      return res.status(404).json({ success: false, message: 'Export not found' });
+    }
+
+    const response = { success: true, export: dataExport };
+    if (dataExport.status === 'ready' && dataExport.expiresAt > new Date()) {
+      response.downloadUrl = `/api/users/data-export/download/${generateDownloadToken(dataExport)}`;
+    }
+
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/follow:
+ *   post:
+ *     tags: [Users]
+ *     summary: Follow or unfollow a user
+ *     description: Following a private account sends a follow request instead; calling again while the request is pending cancels it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID to follow/unfollow
+ *     responses:
+ *       200:
+ *         description: User followed/unfollowed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 isFollowing:
+ *                   type: boolean
+ *                 isRequested:
+ *                   type: boolean
+ *       403:
+ *         description: Either user has blocked the other
+ *       404:
+ *         description: User not found
+ */
+// Follow/Unfollow user
+router.post('/:userId/follow', authenticate, async (req, res) => {
+  try {
+    const targetUserId = req.params.userId;
+    const currentUserId = req.user._id;
+
+    if (targetUserId === currentUserId.toString()) {
+      return res.status(400).json({ message: 'You cannot follow yourself' });
+    }
+
+    const targetUser = await User.findById(targetUserId);
+    const currentUser = await User.findById(currentUserId);
+
+    // Deactivated, suspended and banned accounts are hidden from everyone else
+    if (!targetUser || getAccountRestriction(targetUser)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // A block removed any follow between the two; it must not come back
+    if (await isBlockedBetween(currentUserId, targetUserId)) {
+      return res.status(403).json({ message: 'You cannot follow this user' });
+    }
+
+    const isFollowing = currentUser.following.includes(targetUserId);
+
+    if (isFollowing) {
+      // Unfollow
+      await unfollowUser(currentUserId, targetUserId);
+
+      return res.json({
+        success: true,
+        message: 'User unfollowed successfully',
+        isFollowing: false,
+        isRequested: false
+      });
+    }
+
+    if (targetUser.isPrivate) {
+      // Private account: toggle a pending follow request
+      const cancelled = await FollowRequest.findOneAndDelete({ requesterId: currentUserId, targetId: targetUserId });
+      if (cancelled) {
+        return res.json({
+          success: true,
+          message: 'Follow request cancelled',
+          isFollowing: false,
+          isRequested: false
+        });
+      }
+
+      await createFollowRequest(currentUser, targetUserId);
+
+      return res.json({
+        success: true,
+        message: 'Follow request sent',
+        isFollowing: false,
+        isRequested: true
+      });
+    }
+
+    // Follow
+    await followUser(currentUserId, targetUserId);
+
+    // Create notification
+    await createNotification({
+      userId: targetUserId,
+      fromUserId: currentUserId,
+      type: 'follow',
+      message: `${currentUser.username} started following you`
+    });
+
+    res.json({
+      success: true,
+      message: 'User followed successfully',
+      isFollowing: true,
+      isRequested: false
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/follow-requests/incoming:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get follow requests sent to me
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Follow requests retrieved successfully, leaving out requesters on either side of a block and inactive accounts
+ */
+// Requests whose other side (`field`, populated) the viewer may see: users
+// on either side of a block, inactive accounts and removed ones are left out
+const withoutHiddenRequestUsers = async (context, requests, field) => {
+  const present = requests.filter(request => request[field]);
+  await loadAccountStates(context, present.map(request => request[field]._id));
+  return present.filter(request => !isHiddenUser(context, request[field]._id));
+};
+
+// Get incoming follow requests
+router.get('/follow-requests/incoming', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const context = await getViewerContext(req.user._id);
+    const requests = await FollowRequest.find({
+      targetId: req.user._id,
+      requesterId: { $nin: getBlockedUserIds(context) }
+    })
+      .populate('requesterId', `${USER_SUMMARY_FIELDS} bio`)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    res.json({
+      success: true,
+      requests: await withoutHiddenRequestUsers(context, requests, 'requesterId')
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/follow-requests/outgoing:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get follow requests I have sent
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Follow requests retrieved successfully, leaving out users on either side of a block and inactive accounts
+ */
+// Get outgoing follow requests
+router.get('/follow-requests/outgoing', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const context = await getViewerContext(req.user._id);
+    const requests = await FollowRequest.find({
+      requesterId: req.user._id,
+      targetId: { $nin: getBlockedUserIds(context) }
+    })
+      .populate('targetId', `${USER_SUMMARY_FIELDS} bio`)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    res.json({
+      success: true,
+      requests: await withoutHiddenRequestUsers(context, requests, 'targetId')
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/follow-requests/{requestId}/approve:
+ *   post:
+ *     tags: [Users]
+ *     summary: Approve a follow request
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Follow request approved
+ *       403:
+ *         description: Either user has blocked the other
+ *       404:
+ *         description: Follow request not found
+ */
+// Approve follow request
+router.post('/follow-requests/:requestId/approve', authenticate, async (req, res) => {
+  try {
+    const request = await FollowRequest.findOne({ _id: req.params.requestId, targetId: req.user._id });
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Follow request not found' });
+    }
+
+    if (await isBlockedBetween(req.user._id, request.requesterId)) {
+      return res.status(403).json({ success: false, message: 'You cannot approve a request from a blocked user' });
+    }
+
+    await approveFollowRequest(request, req.user);
+
+    res.json({
+      success: true,
+      message: 'Follow request approved'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/follow-requests/{requestId}/reject:
+ *   post:
+ *     tags: [Users]
+ *     summary: Reject a follow request
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Follow request rejected
+ *       404:
+ *         description: Follow request not found
+ */
+// Reject follow request
+router.post('/follow-requests/:requestId/reject', authenticate, async (req, res) => {
+  try {
+    const request = await FollowRequest.findOneAndDelete({ _id: req.params.requestId, targetId: req.user._id });
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Follow request not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Follow request rejected'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/follow-requests/{requestId}:
+ *   delete:
+ *     tags: [Users]
+ *     summary: Cancel a follow request I sent
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Follow request cancelled
+ *       404:
+ *         description: Follow request not found
+ */
+// Cancel follow request
+router.delete('/follow-requests/:requestId', authenticate, async (req, res) => {
+  try {
+    const request = await FollowRequest.findOneAndDelete({ _id: req.params.requestId, requesterId: req.user._id });
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Follow request not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Follow request cancelled'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/posts:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get user's posts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: User posts retrieved successfully
+ */
+// Get user's posts
+router.get('/:userId/posts', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const owner = await User.findById(req.params.userId).select('isPrivate');
+    if (!owner) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const context = await loadAccountStates(await getViewerContext(req.user._id), [owner._id]);
+    const denied = checkAccountVisibility(context, owner);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
+    }
+
+    const posts = await Post.find({
+      $and: [
+        getVisiblePostsFilter(context),
+        { userId: owner._id, isActive: true, isArchived: { $ne: true } }
+      ]
+    })
+      .select('-likes -comments -shares -reports -editHistory')
+      .populate('userId', USER_SUMMARY_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    res.json({
+      success: true,
+      posts
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FollowListUser:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         username:
+ *           type: string
+ *         profileImage:
+ *           type: string
+ *         bio:
+ *           type: string
+ *         verifiedBadge:
+ *           type: boolean
+ *         isYou:
+ *           type: boolean
+ *         youFollow:
+ *           type: boolean
+ *           description: You follow this user
+ *         followsYou:
+ *           type: boolean
+ *           description: This user follows you
+ */
+
+const followListValidators = [
+  query('cursor').optional().isMongoId().withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+// Loads the profile and the viewer for a follow list route. Resolves to
+// { profile, viewer, context } or { error }.
+const loadFollowList = async (req) => {
+  const profile = await User.findById(req.params.userId).select('followers following isPrivate');
+  if (!profile) {
+    return { error: { status: 404, message: 'User not found' } };
+  }
+
+  const [viewer, context] = await Promise.all([
+    User.findById(req.user._id).select('followers following'),
+    getViewerContext(req.user._id)
+  ]);
+  await loadAccountStates(context, [profile._id]);
+  const denied = checkAccountVisibility(context, profile);
+  if (denied) {
+    return { error: denied };
+  }
+
+  return { profile, viewer, context };
+};
+
+/**
+ * @swagger
+ * /api/users/{userId}/followers:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get user's followers (cursor paginated, most recent follows first)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Filter the list by username
+ *     responses:
+ *       200:
+ *         description: Followers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 followers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FollowListUser'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 hasMore:
+ *                   type: boolean
+ *       403:
+ *         description: This account is private
+ */
+// Get followers
+router.get('/:userId/followers', authenticate, followListValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { profile, viewer, context, error } = await loadFollowList(req);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const { users, nextCursor, hasMore } = await getFollowListPage(profile.followers, viewer, {
+      ...req.query,
+      hiddenIds: getBlockedUserIds(context)
+    });
+
+    res.json({
+      success: true,
+      followers: users,
+      nextCursor,
+      hasMore
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/following:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get users a user follows (cursor paginated, most recent follows first)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Filter the list by username
+ *     responses:
+ *       200:
+ *         description: Following retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 following:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FollowListUser'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 hasMore:
+ *                   type: boolean
+ *       403:
+ *         description: This account is private
+ */
+// Get following
+router.get('/:userId/following', authenticate, followListValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { profile, viewer, context, error } = await loadFollowList(req);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const { users, nextCursor, hasMore } = await getFollowListPage(profile.following, viewer, {
+      ...req.query,
+      hiddenIds: getBlockedUserIds(context)
+    });
+
+    res.json({
+      success: true,
+      following: users,
+      nextCursor,
+      hasMore
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/mutual-followers:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get the user's followers that you follow (cursor paginated)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Filter the list by username
+ *     responses:
+ *       200:
+ *         description: Mutual followers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 mutualFollowers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FollowListUser'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 hasMore:
+ *                   type: boolean
+ *       403:
+ *         description: This account is private
+ */
+// Get mutual followers
+router.get('/:userId/mutual-followers', authenticate, followListValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { profile, viewer, context, error } = await loadFollowList(req);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const { users, nextCursor, hasMore } = await getFollowListPage(getMutualFollowerIds(viewer, profile), viewer, {
+      ...req.query,
+      hiddenIds: getBlockedUserIds(context)
+    });
+
+    res.json({
+      success: true,
+      mutualFollowers: users,
+      nextCursor,
+      hasMore
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/suggestions/friends:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get ranked friend suggestions
+ *     description: Ranked by mutual follows, followers you don't follow back, shared location or profession, community interactions and reviews of the same services. Dismissed users never come back.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Friend suggestions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 suggestions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       username:
+ *                         type: string
+ *                       profileImage:
+ *                         type: string
+ *                       bio:
+ *                         type: string
+ *                       verifiedBadge:
+ *                         type: boolean
+ *                       mutualCount:
+ *                         type: integer
+ *                       reason:
+ *                         type: string
+ *                         example: Followed by priya and 3 others
+ */
+// Get suggested friends
+router.get('/suggestions/friends', authenticate, [
+  query('limit').optional().isInt({ min: 1, max: SUGGESTIONS_MAX_LIMIT }).withMessage(`Limit must be between 1 and ${SUGGESTIONS_MAX_LIMIT}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -135,33 +2311,13 @@ router.put('/profile', authenticate, upload.single('profileImage'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const updateData = { ...req.body };
-
-    if (req.file) {
-      updateData.profileImage = `/uploads/profiles/${req.file.filename}`;
-    }
-
-    // Check if username is unique
-    if (updateData.username) {
-      const existingUser = await User.findOne({
-        username: updateData.username,
-        _id: { $ne: req.user._id }
-      });
-      if (existingUser) {
-        return res.status(400).json({ message: 'Username already exists' });
-      }
-    }
-
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      updateData,
-      { new: true, runValidators: true }
-    ).select('-__v');
+    const suggestions = await getFriendSuggestions(req.user._id, {
+      limit: parseInt(req.query.limit) || SUGGESTIONS_DEFAULT_LIMIT
+    });
 
     res.json({
       success: true,
-      message: 'Profile updated successfully',
-      user
+      suggestions
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -170,10 +2326,10 @@ router.put('/profile', authenticate, upload.single('profileImage'), [
 
 /**
  * @swagger
- * /api/users/{userId}/follow:
+ * /api/users/suggestions/{userId}/dismiss:
  *   post:
  *     tags: [Users]
- *     summary: Follow or unfollow a user
+ *     summary: Dismiss a friend suggestion so it doesn't come back
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -182,77 +2338,89 @@ router.put('/profile', authenticate, upload.single('profileImage'), [
  *         required: true
  *         schema:
  *           type: string
- *         description: User ID to follow/unfollow
  *     responses:
  *       200:
- *         description: User followed/unfollowed successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
- *                 isFollowing:
- *                   type: boolean
+ *         description: Suggestion dismissed
  */
-// Follow/Unfollow user
-router.post('/:userId/follow', authenticate, async (req, res) => {
+// Dismiss suggestion
+router.post('/suggestions/:userId/dismiss', authenticate, async (req, res) => {
+  try {
+    if (req.params.userId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot dismiss yourself' });
+    }
+
+    await dismissSuggestion(req.user._id, req.params.userId);
+
+    res.json({
+      success: true,
+      message: 'Suggestion dismissed'
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Block/Unblock user
+router.post('/:userId/block', authenticate, async (req, res) => {
   try {
     const targetUserId = req.params.userId;
     const currentUserId = req.user._id;
 
     if (targetUserId === currentUserId.toString()) {
-      return res.status(400).json({ message: 'You cannot follow yourself' });
+      return res.status(400).json({ message: 'You cannot block yourself' });
     }
 
-    const targetUser = await User.findById(targetUserId);
     const currentUser = await User.findById(currentUserId);
+    const isBlocked = currentUser.blockedUsers.includes(targetUserId);
 
-    if (!targetUser) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-
-    const isFollowing = currentUser.following.includes(targetUserId);
-
-    if (isFollowing) {
-      // Unfollow
+    if (isBlocked) {
+      // Unblock
       await User.findByIdAndUpdate(currentUserId, {
-        $pull: { following: targetUserId }
-      });
-      await User.findByIdAndUpdate(targetUserId, {
-        $pull: { followers: currentUserId }
+        $pull: { blockedUsers: targetUserId }
       });
 
       res.json({
         success: true,
-        message: 'User unfollowed successfully',
-        isFollowing: false
+        message: 'User unblocked successfully',
+        isBlocked: false
       });
     } else {
-      // Follow
+      // Block
+      await User.findByIdAndUpdate(currentUserId, {
+        $addToSet: { blockedUsers: targetUserId }
+      });
+
+      // Remove from followers/following and close friends lists
       await User.findByIdAndUpdate(currentUserId, {
-        $addToSet: { following: targetUserId }
+        $pull: { following: targetUserId, followers: targetUserId, closeFriends: targetUserId }
       });
       await User.findByIdAndUpdate(targetUserId, {
-        $addToSet: { followers: currentUserId }
+        $pull: { following: currentUserId, followers: currentUserId, closeFriends: currentUserId }
+      });
+      await FollowRequest.deleteMany({
+        $or: [
+          { requesterId: currentUserId, targetId: targetUserId },
+          { requesterId: targetUserId, targetId: currentUserId }
+        ]
+      });
+      await Notification.deleteMany({
+        $or: [
+          { userId: currentUserId, fromUserId: targetUserId },
+          { userId: targetUserId, fromUserId: currentUserId }
+        ]
       });
 
-      // Create notification
-      const Notification = (await import('../models/Notification.js')).default;
-      await new Notification({
-        userId: targetUserId,
-        fromUserId: currentUserId,
-        type: 'follow',
-        message: `${currentUser.username} started following you`
-      }).save();
+      // Community listings are cached per viewer
+      invalidateCommunityCache(currentUserId.toString());
+      invalidateCommunityCache(targetUserId);
+
+      // Lets the socket layer close any shared chat rooms
+      authEvents.emit('userBlocked', { userId: currentUserId.toString(), blockedUserId: targetUserId });
 
       res.json({
         success: true,
-        message: 'User followed successfully',
-        isFollowing: true
+        message: 'User blocked successfully',
+        isBlocked: true
       });
     }
   } catch (error) {
@@ -262,51 +2430,37 @@ router.post('/:userId/follow', authenticate, async (req, res) => {
 
 /**
  * @swagger
- * /api/users/{userId}/posts:
+ * /api/users/blocked/users:
  *   get:
  *     tags: [Users]
- *     summary: Get user's posts
+ *     summary: Get blocked users list
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: userId
- *         required: true
- *         schema:
- *           type: string
- *         description: User ID
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
  *     responses:
  *       200:
- *         description: User posts retrieved successfully
+ *         description: Blocked users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 blockedUsers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
  */
-// Get user's posts
-router.get('/:userId/posts', authenticate, async (req, res) => {
+// Get blocked users
+router.get('/blocked/users', authenticate, async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-
-    const posts = await Post.find({
-      userId: req.params.userId,
-      isActive: true
-    })
-      .select('-likes -comments -shares -reports')
-      .populate('userId', 'username profileImage')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const user = await User.findById(req.user._id)
+      .populate('blockedUsers', USER_SUMMARY_FIELDS)
+      .select('blockedUsers');
 
     res.json({
       success: true,
-      posts
+      blockedUsers: user.blockedUsers
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -315,10 +2469,10 @@ router.get('/:userId/posts', authenticate, async (req, res) => {
 
 /**
  * @swagger
- * /api/users/{userId}/followers:
- *   get:
+ * /api/users/{userId}/mute:
+ *   post:
  *     tags: [Users]
- *     summary: Get user's followers
+ *     summary: Mute a user's posts and/or stories without unfollowing
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -327,37 +2481,80 @@ router.get('/:userId/posts', authenticate, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               posts:
+ *                 type: boolean
+ *                 default: true
+ *               stories:
+ *                 type: boolean
+ *                 default: true
  *     responses:
  *       200:
- *         description: Followers retrieved successfully
+ *         description: Mute settings updated
+ *       404:
+ *         description: User not found
+ *   delete:
+ *     tags: [Users]
+ *     summary: Unmute a user
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unmuted
  */
-// Get followers
-router.get('/:userId/followers', authenticate, async (req, res) => {
+// Mute user
+router.post('/:userId/mute', authenticate, [
+  body('posts').optional().isBoolean().withMessage('posts must be a boolean').toBoolean(),
+  body('stories').optional().isBoolean().withMessage('stories must be a boolean').toBoolean()
+], async (req, res) => {
   try {
-    const user = await User.findById(req.params.userId)
-      .populate('followers', 'username profileImage bio')
-      .select('followers');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const targetUserId = req.params.userId;
+    if (targetUserId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot mute yourself' });
+    }
+
+    if (!(await User.exists({ _id: targetUserId }))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { posts = true, stories = true } = req.body;
+    await setMute(req.user._id, targetUserId, { posts, stories });
 
     res.json({
       success: true,
-      followers: user.followers
+      message: posts || stories ? 'User muted successfully' : 'User unmuted successfully',
+      muted: { posts, stories }
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Get following
-router.get('/:userId/following', authenticate, async (req, res) => {
+// Unmute user
+router.delete('/:userId/mute', authenticate, async (req, res) => {
   try {
-    const user = await User.findById(req.params.userId)
-      .populate('following', 'username profileImage bio')
-      .select('following');
+    await setMute(req.user._id, req.params.userId, { posts: false, stories: false });
 
     res.json({
       success: true,
-      following: user.following
+      message: 'User unmuted successfully',
+      muted: { posts: false, stories: false }
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -366,97 +2563,77 @@ router.get('/:userId/following', authenticate, async (req, res) => {
 
 /**
  * @swagger
- * /api/users/suggestions/friends:
+ * /api/users/muted/users:
  *   get:
  *     tags: [Users]
- *     summary: Get friend suggestions
+ *     summary: Get muted users with what is muted for each
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Friend suggestions retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 suggestions:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/User'
+ *         description: Muted users retrieved successfully
  */
-// Get suggested friends
-router.get('/suggestions/friends', authenticate, async (req, res) => {
+// Get muted users
+router.get('/muted/users', authenticate, async (req, res) => {
   try {
-    const currentUser = await User.findById(req.user._id).select('following blockedUsers');
-
-    const suggestions = await User.find({
-      _id: {
-        $nin: [
-          ...currentUser.following,
-          ...currentUser.blockedUsers,
-          req.user._id
-        ]
-      }
-    })
-      .select('username profileImage bio followers')
-      .limit(10);
+    const mutedUsers = await getMutedUsers(req.user._id);
 
     res.json({
       success: true,
-      suggestions
+      mutedUsers
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Block/Unblock user
-router.post('/:userId/block', authenticate, async (req, res) => {
+/**
+ * @swagger
+ * /api/users/{userId}/restrict:
+ *   post:
+ *     tags: [Users]
+ *     summary: Restrict/Unrestrict a user
+ *     description: Comments from a restricted user on your posts are only visible to them until you approve them, and their chats move to your message requests folder. Unrestricting approves their pending comments.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Restriction toggled
+ *       404:
+ *         description: User not found
+ */
+// Restrict/Unrestrict user
+router.post('/:userId/restrict', authenticate, async (req, res) => {
   try {
     const targetUserId = req.params.userId;
-    const currentUserId = req.user._id;
-
-    if (targetUserId === currentUserId.toString()) {
-      return res.status(400).json({ message: 'You cannot block yourself' });
+    if (targetUserId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot restrict yourself' });
     }
 
-    const currentUser = await User.findById(currentUserId);
-    const isBlocked = currentUser.blockedUsers.includes(targetUserId);
+    if (!(await User.exists({ _id: targetUserId }))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
-    if (isBlocked) {
-      // Unblock
-      await User.findByIdAndUpdate(currentUserId, {
-        $pull: { blockedUsers: targetUserId }
-      });
+    const currentUser = await User.findById(req.user._id).select('restrictedUsers');
+    const isRestricted = currentUser.restrictedUsers.some(id => id.toString() === targetUserId);
 
-      res.json({
-        success: true,
-        message: 'User unblocked successfully',
-        isBlocked: false
-      });
+    if (isRestricted) {
+      await unrestrictUser(req.user._id, targetUserId);
     } else {
-      // Block
-      await User.findByIdAndUpdate(currentUserId, {
-        $addToSet: { blockedUsers: targetUserId }
-      });
-
-      // Remove from followers/following
-      await User.findByIdAndUpdate(currentUserId, {
-        $pull: { following: targetUserId, followers: targetUserId }
-      });
-      await User.findByIdAndUpdate(targetUserId, {
-        $pull: { following: currentUserId, followers: currentUserId }
-      });
-
-      res.json({
-        success: true,
-        message: 'User blocked successfully',
-        isBlocked: true
-      });
+      await restrictUser(req.user._id, targetUserId);
     }
+
+    res.json({
+      success: true,
+      message: isRestricted ? 'User unrestricted successfully' : 'User restricted successfully',
+      isRestricted: !isRestricted
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -464,37 +2641,26 @@ router.post('/:userId/block', authenticate, async (req, res) => {
 
 /**
  * @swagger
- * /api/users/blocked/users:
+ * /api/users/restricted/users:
  *   get:
  *     tags: [Users]
- *     summary: Get blocked users list
+ *     summary: Get restricted users list
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Blocked users retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 blockedUsers:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/User'
+ *         description: Restricted users retrieved successfully
  */
-// Get blocked users
-router.get('/blocked/users', authenticate, async (req, res) => {
+// Get restricted users
+router.get('/restricted/users', authenticate, async (req, res) => {
   try {
     const user = await User.findById(req.user._id)
-      .populate('blockedUsers', 'username profileImage')
-      .select('blockedUsers');
+      .populate('restrictedUsers', USER_SUMMARY_FIELDS)
+      .select('restrictedUsers');
 
     res.json({
       success: true,
-      blockedUsers: user.blockedUsers
+      restrictedUsers: user.restrictedUsers
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -25,6 +25,13 @@ import adminRoutes from './routes/admin.js';
 // Socket handlers
 import { initializeSocket } from './socket/socketHandler.js';
 
+// Background jobs
+import { startAccountPurgeJob } from './utils/accountDeletion.js';
+import { startDataExportCleanupJob } from './utils/dataExport.js';
+import { startStaleDeviceCleanupJob } from './utils/pushService.js';
+import { startSuspensionLiftJob } from './utils/accountStatus.js';
+import { resetPresence } from './utils/presenceService.js';
+
 // Middleware
 import { errorHandler } from './middleware/errorHandler.js';
 import { notFound } from './middleware/notFound.js';
@@ -69,7 +76,15 @@ initializeSocket(io);
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('🚀 Connected to MongoDB'))
+  .then(() => {
+    console.log('🚀 Connected to MongoDB');
+    startAccountPurgeJob();
+    startDataExportCleanupJob();
+    startStaleDeviceCleanupJob();
+    startSuspensionLiftJob();
+    // Nobody is connected to a freshly started server
+    resetPresence().catch(err => console.error('Presence reset error:', err.message));
+  })
   .catch((err) => console.error('❌ MongoDB connection error:', err));
 
 // Root route
@@ -1,57 +1,137 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
-
-const JWT_SECRET = process.env.JWT_SECRET || 'lukechat-secret-key-2024';
+import Chat from '../models/Chat.js';
+import { verifyAccessToken } from '../utils/authService.js';
+import { authEvents } from '../utils/authEvents.js';
+import { isBlockedBetween } from '../utils/visibility.js';
+import {
+  addConnection,
+  removeConnection,
+  queuePresenceUpdate,
+  getPresenceRecipients,
+  presenceRoom
+} from '../utils/presenceService.js';
+
+// A socket may only join a chat it belongs to, and never while either
+// participant has blocked the other
+const canJoinChat = async (userId, chatId) => {
+  const chat = await Chat.findOne({ _id: chatId, participants: userId }).select('participants');
+  if (!chat) return false;
+
+  const others = chat.participants.filter(id => id.toString() !== userId);
+  const blocked = await Promise.all(others.map(id => isBlockedBetween(userId, id)));
+  return !blocked.some(Boolean);
+};
+
+// Sends userOnline/userOffline to followers, chat partners and presence
+// subscribers, as far as the user's presence settings allow
+const emitPresence = async (io, user, event, lastSeen) => {
+  const userId = user._id.toString();
+  const subscribers = (await io.in(presenceRoom(userId)).fetchSockets()).map(socket => socket.userId);
+  const { withLastSeen, withoutLastSeen } = await getPresenceRecipients(userId, subscribers);
+
+  const payload = { userId, username: user.username };
+  // to() with no rooms would reach every socket, so skip empty groups
+  if (withLastSeen.length > 0) {
+    io.to(withLastSeen).emit(event, lastSeen ? { ...payload, lastSeen } : payload);
+  }
+  if (withoutLastSeen.length > 0) {
+    io.to(withoutLastSeen).emit(event, payload);
+  }
+};
+
+// Stores the user's online flag and tells the users allowed to know
+const setPresence = async (io, user, isOnline) => {
+  const lastSeen = new Date();
+  await User.findByIdAndUpdate(user._id, { isOnline, lastSeen });
+  await emitPresence(io, user, isOnline ? 'userOnline' : 'userOffline', isOnline ? null : lastSeen);
+};
 
 export const initializeSocket = (io) => {
-  // Authentication middleware for Socket.io
+  // Authentication middleware for Socket.io (same checks as the REST API)
   io.use(async (socket, next) => {
     try {
-      const token = socket.handshake.auth.token;
-      
-      if (!token) {
-        return next(new Error('Authentication error'));
-      }
-
-      const decoded = jwt.verify(token, JWT_SECRET);
-      const user = await User.findById(decoded.userId);
-      
-      if (!user) {
-        return next(new Error('User not found'));
-      }
+      const { user, sessionId } = await verifyAccessToken(socket.handshake.auth.token);
 
       socket.userId = user._id.toString();
+      socket.sessionId = sessionId.toString();
       socket.user = user;
       next();
     } catch (err) {
-      next(new Error('Authentication error'));
+      const error = new Error(err.status ? err.message : 'Authentication error');
+      error.data = { status: err.status || 401, ...err.details };
+      next(error);
+    }
+  });
+
+  // Drop sockets whose session was revoked (logout, revoke, token reuse)
+  authEvents.on('sessionsRevoked', ({ sessionIds, reason }) => {
+    sessionIds.forEach(sessionId => {
+      io.to(`session_${sessionId}`).emit('sessionRevoked', { reason });
+      io.in(`session_${sessionId}`).disconnectSockets(true);
+    });
+  });
+
+  // Drop every socket of a banned, suspended or deactivated user
+  authEvents.on('userRestricted', ({ userId, status, reason }) => {
+    io.to(userId).emit('accountRestricted', { status, reason });
+    io.in(userId).disconnectSockets(true);
+  });
+
+  // Close the chat room shared by two users once one blocks the other
+  authEvents.on('userBlocked', async ({ userId, blockedUserId }) => {
+    try {
+      const chats = await Chat.find({ participants: { $all: [userId, blockedUserId] } }).select('_id');
+      chats.forEach(chat => {
+        io.in(userId).socketsLeave(`chat_${chat._id}`);
+        io.in(blockedUserId).socketsLeave(`chat_${chat._id}`);
+      });
+      io.in(userId).socketsLeave(presenceRoom(blockedUserId));
+      io.in(blockedUserId).socketsLeave(presenceRoom(userId));
+    } catch (err) {
+      console.error('Block socket cleanup error:', err.message);
     }
   });
 
-  io.on('connection', async (socket) => {
+  // Joins every connected socket of a user to the presence rooms they
+  // subscribed to over REST
+  authEvents.on('presenceSubscribed', ({ userId, userIds }) => {
+    io.in(userId).socketsJoin(userIds.map(presenceRoom));
+  });
+
+  authEvents.on('presenceUnsubscribed', ({ userId, userIds }) => {
+    io.in(userId).socketsLeave(userIds.map(presenceRoom));
+  });
+
+  io.on('connection', (socket) => {
     console.log(`User ${socket.user.username} connected: ${socket.id}`);
 
-    // Join user to their own room for notifications
+    // Join user to their own room for notifications, and a session room
+    // so the connection can be dropped when the session is revoked
     socket.join(socket.userId);
+    socket.join(`session_${socket.sessionId}`);
 
-    // Update user online status
-    await User.findByIdAndUpdate(socket.userId, {
-      isOnline: true,
-      lastSeen: new Date()
-    });
-
-    // Broadcast online status to relevant users
-    socket.broadcast.emit('userOnline', {
-      userId: socket.userId,
-      username: socket.user.username
-    });
+    // Only the first device to connect brings the user online
+    if (addConnection(socket.userId)) {
+      queuePresenceUpdate(socket.userId, () => setPresence(io, socket.user, true));
+    }
 
     // Handle joining chat rooms
-    socket.on('joinChat', (chatId) => {
-      socket.join(`chat_${chatId}`);
-      console.log(`User ${socket.user.username} joined chat: ${chatId}`);
+    socket.on('joinChat', async (chatId) => {
+      try {
+        if (!(await canJoinChat(socket.userId, chatId))) {
+          socket.emit('chatError', { chatId, message: 'Access denied' });
+          return;
+        }
+        socket.join(`chat_${chatId}`);
+        console.log(`User ${socket.user.username} joined chat: ${chatId}`);
+      } catch (err) {
+        socket.emit('chatError', { chatId, message: 'Chat not found' });
+      }
     });
 
+    // Chat events are only relayed from sockets that passed the joinChat checks
+    const inChat = (chatId) => socket.rooms.has(`chat_${chatId}`);
+
     // Handle leaving chat rooms
     socket.on('leaveChat', (chatId) => {
       socket.leave(`chat_${chatId}`);
@@ -60,6 +140,7 @@ export const initializeSocket = (io) => {
 
     // Handle typing indicators
     socket.on('typing', ({ chatId, isTyping }) => {
+      if (!inChat(chatId)) return;
       socket.to(`chat_${chatId}`).emit('userTyping', {
         userId: socket.userId,
         username: socket.user.username,
@@ -69,6 +150,7 @@ export const initializeSocket = (io) => {
 
     // Handle message status updates
     socket.on('messageDelivered', ({ messageId, chatId }) => {
+      if (!inChat(chatId)) return;
       socket.to(`chat_${chatId}`).emit('messageStatusUpdate', {
         messageId,
         status: 'delivered'
@@ -76,6 +158,7 @@ export const initializeSocket = (io) => {
     });
 
     socket.on('messageSeen', ({ messageId, chatId }) => {
+      if (!inChat(chatId)) return;
       socket.to(`chat_${chatId}`).emit('messageStatusUpdate', {
         messageId,
         status: 'seen'
@@ -84,6 +167,7 @@ export const initializeSocket = (io) => {
 
     // Handle video/voice call signaling
     socket.on('callUser', ({ chatId, signalData, callType }) => {
+      if (!inChat(chatId)) return;
       socket.to(`chat_${chatId}`).emit('incomingCall', {
         from: socket.userId,
         signalData,
@@ -94,35 +178,30 @@ export const initializeSocket = (io) => {
     });
 
     socket.on('answerCall', ({ chatId, signalData }) => {
+      if (!inChat(chatId)) return;
       socket.to(`chat_${chatId}`).emit('callAccepted', {
         signalData
       });
     });
 
     socket.on('rejectCall', ({ chatId }) => {
+      if (!inChat(chatId)) return;
       socket.to(`chat_${chatId}`).emit('callRejected');
     });
 
     socket.on('endCall', ({ chatId }) => {
+      if (!inChat(chatId)) return;
       socket.to(`chat_${chatId}`).emit('callEnded');
     });
 
     // Handle disconnect
-    socket.on('disconnect', async () => {
+    socket.on('disconnect', () => {
       console.log(`User ${socket.user.username} disconnected: ${socket.id}`);
 
-      // Update user offline status
-      await User.findByIdAndUpdate(socket.userId, {
-        isOnline: false,
-        lastSeen: new Date()
-      });
-
-      // Broadcast offline status
-      socket.broadcast.emit('userOffline', {
-        userId: socket.userId,
-        username: socket.user.username,
-        lastSeen: new Date()
-      });
+      // The user stays online while another device is still connected
+      if (removeConnection(socket.userId)) {
+        queuePresenceUpdate(socket.userId, () => setPresence(io, socket.user, false));
+      }
     });
 
     // Handle errors
@@ -2,7 +2,15 @@ import request from 'supertest';
 import mongoose from 'mongoose';
 import app from '../server.js';
 import Admin from '../models/Admin.js';
+import ReservedHandle from '../models/ReservedHandle.js';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Notification from '../models/Notification.js';
+import Service from '../models/Service.js';
 import { generateAdminToken } from '../middleware/adminAuth.js';
+import { generateToken } from '../middleware/auth.js';
+import { createSession } from '../utils/sessionService.js';
+import { removeVerificationRequests } from '../utils/verificationService.js';
 
 describe('Admin Routes', () => {
   let adminToken;
@@ -15,6 +23,12 @@ describe('Admin Routes', () => {
 
   afterAll(async () => {
     await Admin.deleteMany({});
+    await ReservedHandle.deleteMany({});
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    await Notification.deleteMany({});
+    await Service.deleteMany({});
+    await removeVerificationRequests({});
     await mongoose.connection.close();
   });
 
@@ -80,4 +94,145 @@ describe('Admin Routes', () => {
       expect(response.body.success).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('Reserved handles', () => {
+    it('should reserve and release a handle', async () => {
+      const reserved = await request(app)
+        .post('/api/admin/reserved-handles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ handle: 'BrandName', type: 'reserved' });
+
+      expect(reserved.status).toBe(200);
+      expect(reserved.body.data.handle.handle).toBe('brandname');
+
+      const released = await request(app)
+        .delete('/api/admin/reserved-handles/brandname')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(released.status).toBe(200);
+    });
+  });
+
+  describe('User status', () => {
+    it('should suspend a user, sign them out and reinstate them', async () => {
+      const user = await new User({ username: 'rulebreaker', mobileNumber: '9000000041' }).save();
+      const { session } = await createSession(user._id, { deviceId: 'test-device' });
+      const userToken = generateToken(user._id, session._id);
+
+      const suspended = await request(app)
+        .patch(`/api/admin/users/${user._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          status: 'suspended',
+          reason: 'Spam',
+          suspendedUntil: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+        });
+      expect(suspended.status).toBe(200);
+      expect(suspended.body.data.status).toBe('suspended');
+
+      const denied = await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${userToken}`);
+      expect(denied.status).toBe(401);
+
+      const reinstated = await request(app)
+        .patch(`/api/admin/users/${user._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'active' });
+      expect(reinstated.body.data.status).toBe('active');
+      expect(reinstated.body.data.suspendedUntil).toBeUndefined();
+    });
+
+    it('should reject a suspension end date in the past', async () => {
+      const user = await new User({ username: 'pastdate', mobileNumber: '9000000042' }).save();
+
+      const response = await request(app)
+        .patch(`/api/admin/users/${user._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'suspended', suspendedUntil: '2020-01-01T00:00:00Z' });
+      expect(response.status).toBe(400);
+    });
+
+    it('should hide a banned user from follows and new chats', async () => {
+      const banned = await new User({ username: 'banned_user', mobileNumber: '9000000043', status: 'banned' }).save();
+      const viewer = await new User({ username: 'banned_viewer', mobileNumber: '9000000044' }).save();
+      const { session } = await createSession(viewer._id, { deviceId: 'test-device' });
+      const viewerToken = generateToken(viewer._id, session._id);
+
+      const follow = await request(app)
+        .post(`/api/users/${banned._id}/follow`)
+        .set('Authorization', `Bearer ${viewerToken}`);
+      expect(follow.status).toBe(404);
+
+      const chat = await request(app)
+        .post('/api/chat/start')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ recipientId: banned._id.toString() });
+      expect(chat.status).toBe(404);
+
+      const stored = await User.findById(banned._id);
+      expect(stored.followers).toHaveLength(0);
+    });
+
+    it('should hide a banned user\'s services from signed-out visitors', async () => {
+      const banned = await new User({ username: 'banned_seller', mobileNumber: '9000000045', status: 'banned' }).save();
+      const service = await new Service({
+        userId: banned._id,
+        serviceName: 'Repairs',
+        about: 'Phone repairs',
+        address: 'Main street',
+        minAmount: 100,
+        maxAmount: 500,
+        category: 'repair'
+      }).save();
+
+      const listing = await request(app).get(`/api/services/${service._id}`);
+      expect(listing.status).toBe(404);
+
+      const listings = await request(app).get('/api/services?category=repair');
+      expect(listings.body.services).toHaveLength(0);
+    });
+  });
+
+  describe('Verification requests', () => {
+    it('should queue an application and grant the badge on approval', async () => {
+      const user = await new User({ username: 'famous', mobileNumber: '9000000043' }).save();
+      const { session } = await createSession(user._id, { deviceId: 'test-device' });
+      const userToken = generateToken(user._id, session._id);
+
+      const applied = await request(app)
+        .post('/api/users/verification')
+        .set('Authorization', `Bearer ${userToken}`)
+        .field('category', 'creator')
+        .field('fullName', 'Famous Person')
+        .field('links', 'https://example.com/famous')
+        .attach('documents', Buffer.from('%PDF-1.4'), { filename: 'id.pdf', contentType: 'application/pdf' });
+      expect(applied.status).toBe(201);
+      expect(applied.body.request.documents[0].path).toBeUndefined();
+
+      const again = await request(app)
+        .post('/api/users/verification')
+        .set('Authorization', `Bearer ${userToken}`)
+        .field('category', 'creator')
+        .field('fullName', 'Famous Person')
+        .attach('documents', Buffer.from('%PDF-1.4'), { filename: 'id.pdf', contentType: 'application/pdf' });
+      expect(again.status).toBe(409);
+
+      const queue = await request(app)
+        .get('/api/admin/verification-requests')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(queue.body.data.requests).toHaveLength(1);
+      expect(queue.body.data.requests[0].user.username).toBe('famous');
+
+      const requestId = queue.body.data.requests[0]._id;
+      const reviewed = await request(app)
+        .patch(`/api/admin/verification-requests/${requestId}/review`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'approved' });
+      expect(reviewed.status).toBe(200);
+
+      expect((await User.findById(user._id)).verifiedBadge).toBe(true);
+      expect(await Notification.exists({ userId: user._id, type: 'verification_approved' })).toBeTruthy();
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import { applyPostEdit, parseMediaOrder, getPostMediaUrls, MAX_POST_EDIT_HISTORY } from '../utils/postService.js';
+
+const makePost = () => new Post({
+  userId: new mongoose.Types.ObjectId(),
+  description: 'Sunset at the beach',
+  type: 'public',
+  media: [
+    { type: 'image', url: '/uploads/posts/a.jpg' },
+    { type: 'image', url: '/uploads/posts/b.jpg' }
+  ]
+});
+
+const upload = (filename, mimetype = 'image/jpeg') => ({ filename, mimetype, path: `uploads/posts/${filename}` });
+
+describe('Post editing', () => {
+  it('records the previous version and marks the post edited', () => {
+    const post = makePost();
+    const { changed } = applyPostEdit(post, { description: 'Sunset at Juhu beach', type: 'followers' });
+
+    expect(changed).toBe(true);
+    expect(post.description).toBe('Sunset at Juhu beach');
+    expect(post.type).toBe('followers');
+    expect(post.editedAt).toBeInstanceOf(Date);
+    expect(post.editHistory).toHaveLength(1);
+    expect(post.editHistory[0].description).toBe('Sunset at the beach');
+    expect(post.editHistory[0].type).toBe('public');
+    expect(post.toJSON().isEdited).toBe(true);
+  });
+
+  it('reorders, removes and adds media', () => {
+    const post = makePost();
+    const [first, second] = post.media.map(media => media._id.toString());
+
+    applyPostEdit(post, { mediaOrder: [second, 'new:1'], files: [upload('c.jpg'), upload('d.mp4', 'video/mp4')] });
+
+    expect(post.media.map(media => media.url)).toEqual([
+      '/uploads/posts/b.jpg',
+      '/uploads/posts/d.mp4',
+      '/uploads/posts/c.jpg'
+    ]);
+    expect(post.media[0]._id.toString()).toBe(second);
+    expect(post.media[1].type).toBe('video');
+    expect(post.editHistory[0].media.map(media => media._id.toString())).toEqual([first, second]);
+  });
+
+  it('does not record an edit that changes nothing', () => {
+    const post = makePost();
+    const { changed } = applyPostEdit(post, { description: 'Sunset at the beach' });
+
+    expect(changed).toBe(false);
+    expect(post.editHistory).toHaveLength(0);
+    expect(post.editedAt).toBeUndefined();
+  });
+
+  it('rejects unknown or duplicate media and empty posts', () => {
+    const post = makePost();
+    const [first] = post.media.map(media => media._id.toString());
+
+    expect(applyPostEdit(post, { mediaOrder: [first, first] }).error).toBeDefined();
+    expect(applyPostEdit(post, { mediaOrder: ['new:0'] }).error).toBeDefined();
+    expect(applyPostEdit(post, { description: ' ', mediaOrder: [] }).error).toBeDefined();
+    expect(post.editHistory).toHaveLength(0);
+  });
+
+  it('only reports mentions that are new', () => {
+    const post = makePost();
+    post.description = 'With @asha';
+
+    const { newMentions } = applyPostEdit(post, { description: 'With @asha and @vikram' });
+    expect(newMentions).toEqual(['vikram']);
+  });
+
+  it('parses mediaOrder from multipart forms', () => {
+    expect(parseMediaOrder('["a","new:0"]')).toEqual(['a', 'new:0']);
+    expect(parseMediaOrder(['a'])).toEqual(['a']);
+    expect(parseMediaOrder('not json')).toBeNull();
+  });
+});
+
+describe('Post media files', () => {
+  it('lists current and earlier media for cleanup', () => {
+    const post = makePost();
+    applyPostEdit(post, { mediaOrder: ['new:0'], files: [upload('c.jpg')] });
+
+    expect(getPostMediaUrls(post).sort()).toEqual([
+      '/uploads/posts/a.jpg',
+      '/uploads/posts/b.jpg',
+      '/uploads/posts/c.jpg'
+    ]);
+  });
+
+  it('reports files only used by versions dropped from the history', () => {
+    const post = makePost();
+    const version = (urls) => ({
+      description: 'Earlier',
+      type: 'public',
+      media: urls.map(url => ({ type: 'image', url })),
+      editedAt: new Date()
+    });
+    post.editHistory = [
+      version(['/uploads/posts/old.jpg', '/uploads/posts/a.jpg']),
+      ...Array.from({ length: MAX_POST_EDIT_HISTORY - 1 }, () => version(['/uploads/posts/a.jpg']))
+    ];
+
+    const { orphanedMedia } = applyPostEdit(post, { description: 'Latest' });
+
+    expect(post.editHistory).toHaveLength(MAX_POST_EDIT_HISTORY);
+    expect(orphanedMedia).toEqual(['/uploads/posts/old.jpg']);
+    expect(getPostMediaUrls(post)).not.toContain('/uploads/posts/old.jpg');
+  });
+});
@@ -0,0 +1,27 @@
+import { addConnection, removeConnection, queuePresenceUpdate } from '../utils/presenceService.js';
+
+describe('Presence connection counting', () => {
+  it('stays online until the last device disconnects', () => {
+    expect(addConnection('user-a')).toBe(true);
+    expect(addConnection('user-a')).toBe(false);
+    expect(removeConnection('user-a')).toBe(false);
+    expect(removeConnection('user-a')).toBe(true);
+  });
+
+  it('counts each user separately', () => {
+    expect(addConnection('user-b')).toBe(true);
+    expect(addConnection('user-c')).toBe(true);
+    expect(removeConnection('user-b')).toBe(true);
+    expect(removeConnection('user-c')).toBe(true);
+  });
+
+  it('runs a user\'s presence updates in order', async () => {
+    const writes = [];
+    const slow = () => new Promise(resolve => setTimeout(() => { writes.push('offline'); resolve(); }, 20));
+
+    queuePresenceUpdate('user-d', slow);
+    await queuePresenceUpdate('user-d', async () => { writes.push('online'); });
+
+    expect(writes).toEqual(['offline', 'online']);
+  });
+});
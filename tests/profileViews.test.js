@@ -0,0 +1,16 @@
+import { localDay, lastDays } from '../utils/profileViewService.js';
+
+describe('Profile view days', () => {
+  it('uses the owner\'s time zone for the day', () => {
+    const lateEvening = new Date('2026-03-10T20:00:00Z');
+
+    expect(localDay(lateEvening, 'Europe/London')).toBe('2026-03-10');
+    expect(localDay(lateEvening, 'Asia/Kolkata')).toBe('2026-03-11');
+  });
+
+  it('lists the covered days oldest first', () => {
+    const now = new Date('2026-03-10T06:00:00Z');
+
+    expect(lastDays(3, 'Asia/Kolkata', now)).toEqual(['2026-03-08', '2026-03-09', '2026-03-10']);
+  });
+});
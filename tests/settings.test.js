@@ -0,0 +1,31 @@
+import { isPresenceVisibleTo, getNotificationPreference } from '../utils/settingsService.js';
+import { extractMentions } from '../utils/mentionService.js';
+
+describe('Presence settings', () => {
+  it('shows presence to the chosen audience only', () => {
+    expect(isPresenceVisibleTo('everyone', false)).toBe(true);
+    expect(isPresenceVisibleTo('followers', true)).toBe(true);
+    expect(isPresenceVisibleTo('followers', false)).toBe(false);
+    expect(isPresenceVisibleTo('nobody', true)).toBe(false);
+  });
+});
+
+describe('Notification preferences', () => {
+  it('maps notification types to their preference', () => {
+    expect(getNotificationPreference('like')).toBe('like');
+    expect(getNotificationPreference('follow_request')).toBe('follow_request');
+    expect(getNotificationPreference('verification_approved')).toBe('verification');
+    expect(getNotificationPreference('verification_rejected')).toBe('verification');
+  });
+});
+
+describe('Mentions', () => {
+  it('extracts handles without duplicates', () => {
+    expect(extractMentions('@Rahul and @priya.k, thanks @rahul!')).toEqual(['rahul', 'priya.k']);
+  });
+
+  it('ignores email addresses and sentence-ending periods', () => {
+    expect(extractMentions('mail me at name@example.com')).toEqual([]);
+    expect(extractMentions('Shout out to @anita_dev.')).toEqual(['anita_dev']);
+  });
+});
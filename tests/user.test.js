@@ -3,6 +3,19 @@ import mongoose from 'mongoose';
 import app from '../server.js';
 import User from '../models/User.js';
 import { generateToken } from '../middleware/auth.js';
+import { createSession } from '../utils/sessionService.js';
+import Session from '../models/Session.js';
+import Post from '../models/Post.js';
+import DataExport from '../models/DataExport.js';
+import Device from '../models/Device.js';
+import UsernameHistory from '../models/UsernameHistory.js';
+import FollowRequest from '../models/FollowRequest.js';
+import RecentSearch from '../models/RecentSearch.js';
+import UserSettings from '../models/UserSettings.js';
+import ProfileView from '../models/ProfileView.js';
+import { recordProfileView } from '../utils/profileViewService.js';
+import { purgeUserData } from '../utils/accountDeletion.js';
+import { buildDataExport, removeDataExports } from '../utils/dataExport.js';
 
 describe('User Routes', () => {
   let authToken;
@@ -15,6 +28,15 @@ describe('User Routes', () => {
 
   afterAll(async () => {
     await User.deleteMany({});
+    await Session.deleteMany({});
+    await Post.deleteMany({});
+    await removeDataExports({});
+    await Device.deleteMany({});
+    await UsernameHistory.deleteMany({});
+    await FollowRequest.deleteMany({});
+    await RecentSearch.deleteMany({});
+    await UserSettings.deleteMany({});
+    await ProfileView.deleteMany({});
     await mongoose.connection.close();
   });
 
@@ -29,7 +51,8 @@ describe('User Routes', () => {
     });
     await testUser.save();
     
-    authToken = generateToken(testUser._id);
+    const { session } = await createSession(testUser._id, { deviceId: 'test-device' });
+    authToken = generateToken(testUser._id, session._id);
   });
 
   describe('GET /api/users/profile', () => {
@@ -79,4 +102,463 @@ describe('User Routes', () => {
       expect(response.body.success).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('Account deletion', () => {
+    it('should schedule and cancel account deletion', async () => {
+      const scheduled = await request(app)
+        .delete('/api/users/account')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(scheduled.status).toBe(200);
+      expect(scheduled.body.deletionScheduledFor).toBeDefined();
+
+      const cancelled = await request(app)
+        .post('/api/users/account/cancel-deletion')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(cancelled.status).toBe(200);
+      const user = await User.findById(testUser._id);
+      expect(user.deletionScheduledFor).toBeUndefined();
+    });
+
+    it('should purge content and social links', async () => {
+      const follower = await new User({
+        username: 'follower',
+        mobileNumber: '9123456789',
+        following: [testUser._id]
+      }).save();
+      const otherPost = await new Post({
+        userId: follower._id,
+        likes: [{ userId: testUser._id }],
+        comments: [{ userId: testUser._id, text: 'Nice' }]
+      }).save();
+      await new Post({ userId: testUser._id, description: 'Mine' }).save();
+
+      await purgeUserData(testUser._id);
+
+      expect(await User.findById(testUser._id)).toBeNull();
+      expect(await Post.countDocuments({ userId: testUser._id })).toBe(0);
+      const updatedPost = await Post.findById(otherPost._id);
+      expect(updatedPost.likes).toHaveLength(0);
+      expect(updatedPost.comments).toHaveLength(0);
+      const updatedFollower = await User.findById(follower._id);
+      expect(updatedFollower.following).toHaveLength(0);
+    });
+  });
+
+  describe('Data export', () => {
+    it('should build an archive and serve it through the download link', async () => {
+      const dataExport = await new DataExport({ userId: testUser._id }).save();
+      await buildDataExport(dataExport._id);
+
+      const status = await request(app)
+        .get(`/api/users/data-export/${dataExport._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(status.status).toBe(200);
+      expect(status.body.export.status).toBe('ready');
+      expect(status.body.downloadUrl).toBeDefined();
+
+      const download = await request(app).get(status.body.downloadUrl);
+      expect(download.status).toBe(200);
+      expect(download.headers['content-type']).toContain('application/zip');
+    });
+
+    it('should reject an invalid download link', async () => {
+      const response = await request(app)
+        .get('/api/users/data-export/download/not-a-token');
+
+      expect(response.status).toBe(410);
+    });
+  });
+
+  describe('Push devices', () => {
+    it('should register, list and unregister a device', async () => {
+      const registered = await request(app)
+        .post('/api/users/devices')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ token: 'fcm-token-1', platform: 'android', appVersion: '1.2.0' });
+
+      expect(registered.status).toBe(200);
+
+      const list = await request(app)
+        .get('/api/users/devices')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(list.body.devices).toHaveLength(1);
+      expect(list.body.devices[0].isCurrent).toBe(true);
+      expect(list.body.devices[0].token).toBeUndefined();
+
+      const removed = await request(app)
+        .delete('/api/users/devices')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ token: 'fcm-token-1' });
+
+      expect(removed.status).toBe(200);
+      expect(await Device.countDocuments({ userId: testUser._id })).toBe(0);
+    });
+  });
+
+  describe('Usernames', () => {
+    it('should report reserved and invalid usernames as unavailable', async () => {
+      const reserved = await request(app)
+        .get('/api/users/username/check?username=Admin')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(reserved.body.available).toBe(false);
+
+      const invalid = await request(app)
+        .get('/api/users/username/check?username=bad..name')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(invalid.body.available).toBe(false);
+
+      const free = await request(app)
+        .get('/api/users/username/check?username=fresh_name')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(free.body.available).toBe(true);
+    });
+
+    it('should redirect lookups by a former username', async () => {
+      await UsernameHistory.deleteMany({});
+      const renamed = await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ username: 'newhandle' });
+      expect(renamed.status).toBe(200);
+
+      const response = await request(app)
+        .get('/api/users/testuser')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(301);
+      expect(response.headers.location).toBe('/api/users/newhandle');
+    });
+  });
+
+  describe('Private accounts', () => {
+    it('should require an approved follow request', async () => {
+      const privateUser = await new User({
+        username: 'privateuser',
+        mobileNumber: '9123456780',
+        isPrivate: true
+      }).save();
+      const { session } = await createSession(privateUser._id, { deviceId: 'private-device' });
+      const privateToken = generateToken(privateUser._id, session._id);
+
+      const hidden = await request(app)
+        .get(`/api/users/${privateUser._id}/posts`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(hidden.status).toBe(403);
+
+      const followed = await request(app)
+        .post(`/api/users/${privateUser._id}/follow`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(followed.body.isRequested).toBe(true);
+      expect(followed.body.isFollowing).toBe(false);
+
+      const incoming = await request(app)
+        .get('/api/users/follow-requests/incoming')
+        .set('Authorization', `Bearer ${privateToken}`);
+      expect(incoming.body.requests).toHaveLength(1);
+
+      const approved = await request(app)
+        .post(`/api/users/follow-requests/${incoming.body.requests[0]._id}/approve`)
+        .set('Authorization', `Bearer ${privateToken}`);
+      expect(approved.status).toBe(200);
+
+      const visible = await request(app)
+        .get(`/api/users/${privateUser._id}/posts`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(visible.status).toBe(200);
+    });
+
+    it('should leave requests from inactive accounts out of the incoming list', async () => {
+      const privateUser = await new User({
+        username: 'private_owner',
+        mobileNumber: '9123456781',
+        isPrivate: true
+      }).save();
+      const banned = await new User({ username: 'banned_requester', mobileNumber: '9123456782', status: 'banned' }).save();
+      await FollowRequest.create({ requesterId: banned._id, targetId: privateUser._id });
+      const { session } = await createSession(privateUser._id, { deviceId: 'private-owner-device' });
+      const privateToken = generateToken(privateUser._id, session._id);
+
+      const incoming = await request(app)
+        .get('/api/users/follow-requests/incoming')
+        .set('Authorization', `Bearer ${privateToken}`);
+      expect(incoming.status).toBe(200);
+      expect(incoming.body.requests).toHaveLength(0);
+    });
+  });
+
+  describe('Blocking', () => {
+    it('should not let either side follow again after a block', async () => {
+      const other = await new User({ username: 'blocked_target', mobileNumber: '9000000071' }).save();
+      const { session } = await createSession(other._id, { deviceId: 'blocked-device' });
+      const otherToken = generateToken(other._id, session._id);
+
+      await request(app)
+        .post(`/api/users/${other._id}/block`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const byBlocked = await request(app)
+        .post(`/api/users/${testUser._id}/follow`)
+        .set('Authorization', `Bearer ${otherToken}`);
+      expect(byBlocked.status).toBe(403);
+
+      const byBlocker = await request(app)
+        .post(`/api/users/${other._id}/follow`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(byBlocker.status).toBe(403);
+
+      const blocker = await User.findById(testUser._id);
+      expect(blocker.followers).toHaveLength(0);
+      expect(await FollowRequest.countDocuments({})).toBe(0);
+    });
+
+    it('should take each user off the other\'s close friends list', async () => {
+      const friend = await new User({
+        username: 'close_friend',
+        mobileNumber: '9000000072',
+        closeFriends: [testUser._id]
+      }).save();
+      await User.findByIdAndUpdate(testUser._id, { closeFriends: [friend._id] });
+
+      await request(app)
+        .post(`/api/users/${friend._id}/block`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect((await User.findById(testUser._id)).closeFriends).toHaveLength(0);
+      expect((await User.findById(friend._id)).closeFriends).toHaveLength(0);
+
+      const readded = await request(app)
+        .post(`/api/users/close-friends/${friend._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(readded.status).toBe(403);
+
+      const invalid = await request(app)
+        .post('/api/users/close-friends/not-an-id')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  describe('Follow lists', () => {
+    it('should paginate followers newest follow first and flag mutual follows', async () => {
+      const celebrity = await new User({ username: 'celebrity', mobileNumber: '9000000001' }).save();
+      const fans = await User.insertMany([1, 2, 3].map(n => ({
+        username: `fan${n}`,
+        mobileNumber: `900000001${n}`,
+        following: [celebrity._id]
+      })));
+      // fan1 followed last, after fan2 and fan3
+      await User.findByIdAndUpdate(celebrity._id, { followers: [fans[1]._id, fans[2]._id, fans[0]._id] });
+      // testuser follows fan1, and fan1 follows testuser back
+      await User.findByIdAndUpdate(testUser._id, { following: [fans[0]._id], followers: [fans[0]._id] });
+
+      const firstPage = await request(app)
+        .get(`/api/users/${celebrity._id}/followers?limit=2`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(firstPage.status).toBe(200);
+      expect(firstPage.body.followers.map(fan => fan.username)).toEqual(['fan1', 'fan3']);
+      expect(firstPage.body.hasMore).toBe(true);
+
+      const secondPage = await request(app)
+        .get(`/api/users/${celebrity._id}/followers?limit=2&cursor=${firstPage.body.nextCursor}`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(secondPage.body.followers.map(fan => fan.username)).toEqual(['fan2']);
+      expect(secondPage.body.hasMore).toBe(false);
+
+      const searched = await request(app)
+        .get(`/api/users/${celebrity._id}/followers?search=FAN1`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(searched.body.followers).toHaveLength(1);
+      expect(searched.body.followers[0].youFollow).toBe(true);
+      expect(searched.body.followers[0].followsYou).toBe(true);
+
+      const profile = await request(app)
+        .get(`/api/users/${celebrity._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(profile.body.user.followerCount).toBe(3);
+      expect(profile.body.user.followers).toBeUndefined();
+      expect(profile.body.user.mutualFollowers.count).toBe(1);
+      expect(profile.body.user.mutualFollowers.users[0].username).toBe('fan1');
+    });
+  });
+
+  describe('Friend suggestions', () => {
+    it('should rank friends of friends with a reason and honour dismissals', async () => {
+      await new User({ username: 'stranger', mobileNumber: '9000000021' }).save();
+      const friendOfFriend = await new User({ username: 'fof', mobileNumber: '9000000022' }).save();
+      const friend = await new User({
+        username: 'friend',
+        mobileNumber: '9000000023',
+        following: [friendOfFriend._id]
+      }).save();
+      await User.findByIdAndUpdate(testUser._id, { following: [friend._id] });
+
+      const response = await request(app)
+        .get('/api/users/suggestions/friends')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(response.status).toBe(200);
+      expect(response.body.suggestions[0].username).toBe('fof');
+      expect(response.body.suggestions[0].reason).toBe('Followed by friend');
+      expect(response.body.suggestions.map(user => user.username)).toContain('stranger');
+
+      await request(app)
+        .post(`/api/users/suggestions/${friendOfFriend._id}/dismiss`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const afterDismiss = await request(app)
+        .get('/api/users/suggestions/friends')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(afterDismiss.body.suggestions.map(user => user.username)).not.toContain('fof');
+    });
+  });
+
+  describe('User search', () => {
+    it('should rank prefix, typo and followed matches and skip blocked users', async () => {
+      await new User({ username: 'john_doe', mobileNumber: '9000000031' }).save();
+      const followed = await new User({ username: 'johnny', mobileNumber: '9000000032' }).save();
+      await new User({ username: 'jhon', mobileNumber: '9000000033' }).save();
+      const blocked = await new User({ username: 'john_blocked', mobileNumber: '9000000034' }).save();
+      await User.findByIdAndUpdate(testUser._id, {
+        following: [followed._id],
+        blockedUsers: [blocked._id]
+      });
+
+      const response = await request(app)
+        .get('/api/users/search?q=john')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      const usernames = response.body.users.map(user => user.username);
+      expect(usernames[0]).toBe('johnny');
+      expect(usernames).toContain('john_doe');
+      expect(usernames).toContain('jhon');
+      expect(usernames).not.toContain('john_blocked');
+      expect(usernames.indexOf('john_doe')).toBeLessThan(usernames.indexOf('jhon'));
+    });
+
+    it('should save recent searches and clear them', async () => {
+      await request(app)
+        .get('/api/users/search?q=alice')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const recent = await request(app)
+        .get('/api/users/search/recent')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(recent.body.searches.map(search => search.query)).toEqual(['alice']);
+
+      await request(app)
+        .delete('/api/users/search/recent')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(await RecentSearch.countDocuments({ userId: testUser._id })).toBe(0);
+    });
+  });
+
+  describe('Settings', () => {
+    it('should return defaults and apply partial updates', async () => {
+      const defaults = await request(app)
+        .get('/api/users/settings')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(defaults.status).toBe(200);
+      expect(defaults.body.settings.privacy.whoCanMessage).toBe('everyone');
+      expect(defaults.body.settings.notifications.like).toBe(true);
+
+      const response = await request(app)
+        .patch('/api/users/settings')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ privacy: { whoCanComment: 'followers' }, notifications: { like: false }, timezone: 'Europe/London' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.settings.privacy.whoCanComment).toBe('followers');
+      expect(response.body.settings.privacy.whoCanMessage).toBe('everyone');
+      expect(response.body.settings.notifications.like).toBe(false);
+      expect(response.body.settings.timezone).toBe('Europe/London');
+    });
+
+    it('should reject unknown values', async () => {
+      const response = await request(app)
+        .patch('/api/users/settings')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ presence: { showLastSeenTo: 'friends' }, timezone: 'Mars/Olympus' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should refuse new chats excluded by whoCanMessage', async () => {
+      const recipient = await new User({ username: 'quiet_user', mobileNumber: '9000000041' }).save();
+      await UserSettings.create({ userId: recipient._id, privacy: { whoCanMessage: 'nobody' } });
+
+      const response = await request(app)
+        .post('/api/chat/start')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ recipientId: recipient._id.toString() });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Presence', () => {
+    it('should return presence as the users\' settings allow', async () => {
+      const lastSeen = new Date('2026-01-01T10:00:00Z');
+      const open = await new User({ username: 'open_user', mobileNumber: '9000000051', isOnline: true, lastSeen }).save();
+      const hidden = await new User({ username: 'hidden_user', mobileNumber: '9000000052', isOnline: true, lastSeen }).save();
+      const blocker = await new User({ username: 'blocker_user', mobileNumber: '9000000053', blockedUsers: [testUser._id] }).save();
+      await UserSettings.create({ userId: hidden._id, presence: { showOnlineStatusTo: 'nobody', showLastSeenTo: 'followers' } });
+
+      const response = await request(app)
+        .post('/api/users/presence/subscribe')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ userIds: [open._id, hidden._id, blocker._id] });
+
+      expect(response.status).toBe(200);
+      const byId = Object.fromEntries(response.body.presence.map(entry => [entry.userId, entry]));
+      expect(byId[open._id].isOnline).toBe(true);
+      expect(byId[open._id].lastSeen).toBeDefined();
+      expect(byId[hidden._id].isOnline).toBeUndefined();
+      expect(byId[hidden._id].lastSeen).toBeUndefined();
+      expect(byId[blocker._id]).toBeUndefined();
+    });
+  });
+
+  describe('Profile views', () => {
+    it('should count one view per viewer per day with referrers', async () => {
+      const viewer = await new User({ username: 'curious_user', mobileNumber: '9000000061' }).save();
+      await recordProfileView(testUser._id, viewer._id, 'search');
+      await recordProfileView(testUser._id, viewer._id, 'feed');
+      await recordProfileView(testUser._id, testUser._id, 'feed');
+
+      const response = await request(app)
+        .get('/api/users/profile-views?days=7')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.stats.daily).toHaveLength(7);
+      expect(response.body.stats.totalViews).toBe(1);
+      expect(response.body.stats.uniqueViewers).toBe(1);
+      expect(response.body.stats.topReferrers).toEqual([{ source: 'search', views: 1 }]);
+      expect(response.body.stats.recentViewers).toBeNull();
+    });
+
+    it('should list recent viewers only when both sides opted in', async () => {
+      const sharing = await new User({ username: 'sharing_user', mobileNumber: '9000000062' }).save();
+      const privateViewer = await new User({ username: 'private_viewer', mobileNumber: '9000000063' }).save();
+      await UserSettings.create({ userId: sharing._id, profileViews: { showViewers: true } });
+      await recordProfileView(testUser._id, sharing._id, 'post');
+      await recordProfileView(testUser._id, privateViewer._id, 'community');
+
+      await request(app)
+        .patch('/api/users/settings')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ profileViews: { showViewers: true } });
+
+      const response = await request(app)
+        .get('/api/users/profile-views')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.body.stats.uniqueViewers).toBe(2);
+      expect(response.body.stats.recentViewers.map(entry => entry.user.username)).toEqual(['sharing_user']);
+    });
+  });
+});
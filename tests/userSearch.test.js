@@ -0,0 +1,32 @@
+import { levenshtein, scoreUserMatch } from '../utils/userSearchService.js';
+
+describe('User search ranking', () => {
+  it('computes edit distance', () => {
+    expect(levenshtein('john', 'john')).toBe(0);
+    expect(levenshtein('jhon', 'john')).toBe(2);
+    expect(levenshtein('jon', 'john')).toBe(1);
+  });
+
+  it('orders exact, prefix, partial and typo matches', () => {
+    const exact = scoreUserMatch({ username: 'rahul' }, 'rahul');
+    const prefix = scoreUserMatch({ username: 'rahul_dev' }, 'rahul');
+    const partial = scoreUserMatch({ username: 'im_rahul' }, 'rahul');
+    const typo = scoreUserMatch({ username: 'rahil' }, 'rahul');
+
+    expect(exact).toBeGreaterThan(prefix);
+    expect(prefix).toBeGreaterThan(partial);
+    expect(partial).toBeGreaterThan(typo);
+    expect(typo).toBeGreaterThan(0);
+  });
+
+  it('allows fewer typos for short terms', () => {
+    expect(scoreUserMatch({ username: 'sam' }, 'sma')).toBe(0);
+    expect(scoreUserMatch({ username: 'samir' }, 'smir')).toBeGreaterThan(0);
+  });
+
+  it('matches profession and location words', () => {
+    expect(scoreUserMatch({ username: 'xyz', profession: 'Graphic Designer' }, 'design')).toBeGreaterThan(0);
+    expect(scoreUserMatch({ username: 'xyz', location: 'Pune' }, 'pune')).toBeGreaterThan(0);
+    expect(scoreUserMatch({ username: 'xyz', location: 'Pune' }, 'delhi')).toBe(0);
+  });
+});
@@ -0,0 +1,239 @@
+import mongoose from 'mongoose';
+import {
+  checkPostVisibility,
+  checkAccountVisibility,
+  withoutBlockedUsers,
+  withoutBlockedComments,
+  getVisibleComments,
+  checkStoryVisibility,
+  getParticipantIds,
+  visibleOwnerStages,
+  getGuestContext,
+  inIdOrder
+} from '../utils/visibility.js';
+import { getAccountRestriction } from '../utils/authService.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const contextFor = (viewerId, { following = [], blocked = [], closeFriendOf = [], unavailable = [] } = {}) => ({
+  viewerId: viewerId.toString(),
+  following: new Set(following.map(String)),
+  blocked: new Set(blocked.map(String)),
+  closeFriendOf: new Set(closeFriendOf.map(String)),
+  unavailable: new Set(unavailable.map(String))
+});
+
+describe('Post visibility policy', () => {
+  const viewer = id();
+  const ownerId = id();
+  const publicOwner = { _id: ownerId, isPrivate: false };
+  const privateOwner = { _id: ownerId, isPrivate: true };
+  const post = (type, isActive = true) => ({ type, isActive, userId: ownerId });
+
+  const stranger = contextFor(viewer);
+  const follower = contextFor(viewer, { following: [ownerId] });
+  const blocked = contextFor(viewer, { following: [ownerId], blocked: [ownerId] });
+  const closeFriend = contextFor(viewer, { following: [ownerId], closeFriendOf: [ownerId] });
+  const owner = contextFor(ownerId);
+
+  const cases = [
+    // [description, context, post type, owner, expected status or null]
+    ['stranger sees public post of public account', stranger, 'public', publicOwner, null],
+    ['stranger cannot see followers post', stranger, 'followers', publicOwner, 403],
+    ['stranger cannot see private post', stranger, 'private', publicOwner, 404],
+    ['stranger cannot see public post of private account', stranger, 'public', privateOwner, 403],
+    ['follower sees public post', follower, 'public', publicOwner, null],
+    ['follower sees followers post', follower, 'followers', publicOwner, null],
+    ['follower cannot see private post', follower, 'private', publicOwner, 404],
+    ['follower sees public post of private account', follower, 'public', privateOwner, null],
+    ['follower sees followers post of private account', follower, 'followers', privateOwner, null],
+    ['blocked viewer cannot see public post', blocked, 'public', publicOwner, 403],
+    ['blocked viewer cannot see followers post', blocked, 'followers', publicOwner, 403],
+    ['owner sees own private post', owner, 'private', privateOwner, null],
+    ['owner sees own followers post', owner, 'followers', publicOwner, null],
+    ['follower cannot see close friends post', follower, 'close_friends', publicOwner, 404],
+    ['close friend sees close friends post', closeFriend, 'close_friends', publicOwner, null],
+    ['close friend sees close friends post of private account', closeFriend, 'close_friends', privateOwner, null],
+    ['owner sees own close friends post', owner, 'close_friends', publicOwner, null]
+  ];
+
+  it.each(cases)('%s', (description, context, type, postOwner, expected) => {
+    const result = checkPostVisibility(context, post(type), postOwner);
+    if (expected === null) {
+      expect(result).toBeNull();
+    } else {
+      expect(result.status).toBe(expected);
+    }
+  });
+
+  it('hides inactive posts from everyone but the owner', () => {
+    expect(checkPostVisibility(follower, post('public', false), publicOwner).status).toBe(404);
+    expect(checkPostVisibility(owner, post('public', false), publicOwner)).toBeNull();
+  });
+
+  it('hides archived posts from everyone but the owner', () => {
+    const archived = { ...post('public'), isArchived: true };
+    expect(checkPostVisibility(follower, archived, publicOwner).status).toBe(404);
+    expect(checkPostVisibility(closeFriend, archived, publicOwner).status).toBe(404);
+    expect(checkPostVisibility(owner, archived, publicOwner)).toBeNull();
+  });
+
+  it('applies blocks made by either user', () => {
+    // The context's blocked set holds users the viewer blocked and users who blocked the viewer
+    const blockedByOwner = contextFor(viewer, { blocked: [ownerId] });
+    expect(checkAccountVisibility(blockedByOwner, publicOwner).status).toBe(403);
+  });
+});
+
+describe('Blocked users in threads', () => {
+  const viewer = id();
+  const friend = id();
+  const blockedUser = id();
+  const context = contextFor(viewer, { blocked: [blockedUser] });
+
+  it('drops entries by blocked users, populated or not', () => {
+    const items = [
+      { userId: friend },
+      { userId: { _id: blockedUser, username: 'blocked' } },
+      { userId: blockedUser }
+    ];
+    expect(withoutBlockedUsers(context, items)).toEqual([{ userId: friend }]);
+  });
+
+  it('drops blocked comments and blocked replies inside visible comments', () => {
+    const comments = [
+      { userId: friend, text: 'hi', replies: [{ userId: blockedUser }, { userId: viewer }] },
+      { userId: blockedUser, text: 'hidden', replies: [] }
+    ];
+    const result = withoutBlockedComments(context, comments);
+    expect(result).toHaveLength(1);
+    expect(result[0].replies).toEqual([{ userId: viewer }]);
+  });
+});
+
+describe('Comments pending approval', () => {
+  const owner = id();
+  const restricted = id();
+  const other = id();
+  const comments = [
+    { userId: other, text: 'visible', replies: [] },
+    { userId: restricted, text: 'pending', pendingApproval: true, replies: [] }
+  ];
+
+  it('shows pending comments to the post owner and the commenter only', () => {
+    expect(getVisibleComments(contextFor(owner), comments, owner)).toHaveLength(2);
+    expect(getVisibleComments(contextFor(restricted), comments, owner)).toHaveLength(2);
+    expect(getVisibleComments(contextFor(other), comments, owner)).toHaveLength(1);
+  });
+
+  it('accepts a populated post owner', () => {
+    expect(getVisibleComments(contextFor(owner), comments, { _id: owner })).toHaveLength(2);
+  });
+});
+
+describe('Story visibility', () => {
+  const viewer = id();
+  const ownerId = id();
+  const story = (audience) => ({ userId: ownerId, audience });
+
+  it('requires following the owner', () => {
+    expect(checkStoryVisibility(contextFor(viewer), story('followers')).status).toBe(403);
+    expect(checkStoryVisibility(contextFor(viewer, { following: [ownerId] }), story('followers'))).toBeNull();
+  });
+
+  it('limits close friends stories to the owner\'s list', () => {
+    const follower = contextFor(viewer, { following: [ownerId] });
+    const closeFriend = contextFor(viewer, { following: [ownerId], closeFriendOf: [ownerId] });
+    expect(checkStoryVisibility(follower, story('close_friends')).status).toBe(404);
+    expect(checkStoryVisibility(closeFriend, story('close_friends'))).toBeNull();
+    expect(checkStoryVisibility(contextFor(ownerId), story('close_friends'))).toBeNull();
+  });
+
+  it('hides stories across a block', () => {
+    const blocked = contextFor(viewer, { following: [ownerId], closeFriendOf: [ownerId], blocked: [ownerId] });
+    expect(checkStoryVisibility(blocked, story('followers')).status).toBe(403);
+  });
+});
+
+describe('Accounts that are not active', () => {
+  const viewer = id();
+  const ownerId = id();
+  const owner = { _id: ownerId, isPrivate: false };
+  const context = contextFor(viewer, { following: [ownerId], unavailable: [ownerId] });
+
+  it('hides the profile, posts and stories of the account', () => {
+    expect(checkAccountVisibility(context, owner).status).toBe(404);
+    expect(checkPostVisibility(context, { type: 'public', isActive: true }, owner).status).toBe(404);
+    expect(checkStoryVisibility(context, { userId: ownerId, audience: 'followers' }).status).toBe(404);
+  });
+
+  it('drops the account\'s likes and comments', () => {
+    const friend = id();
+    expect(withoutBlockedUsers(context, [{ userId: friend }, { userId: ownerId }])).toEqual([{ userId: friend }]);
+  });
+
+  it('still shows the owner their own content', () => {
+    expect(checkAccountVisibility(contextFor(ownerId, { unavailable: [ownerId] }), owner)).toBeNull();
+  });
+
+  it('collects the owner and everyone on a post to look up', () => {
+    const [liker, commenter, replier] = [id(), id(), id()];
+    const post = {
+      userId: { _id: ownerId },
+      likes: [{ userId: liker }],
+      comments: [{ userId: commenter, replies: [{ userId: replier }] }]
+    };
+    expect(getParticipantIds(post).map(user => String(user._id || user)))
+      .toEqual([ownerId, liker, commenter, replier].map(String));
+  });
+});
+
+describe('Owner lookup for content lists', () => {
+  const viewer = id();
+  const followed = id();
+  const ownerMatch = (stages) => stages[0].$lookup.pipeline[0].$match;
+
+  it('checks the status of each document\'s owner instead of listing accounts', () => {
+    const stages = visibleOwnerStages(contextFor(viewer));
+    expect(stages[0].$lookup.let).toEqual({ ownerId: '$userId' });
+    const [available] = ownerMatch(stages).$and;
+    expect(ownerMatch(stages).$and).toHaveLength(1);
+    expect(available.$or[0]._id.toString()).toBe(viewer.toString());
+    expect(available.$or[1].$nor).toHaveLength(1);
+    expect(stages[1]).toEqual({ $match: { 'visibleOwner.0': { $exists: true } } });
+  });
+
+  it('only lets private owners through when the viewer follows them or is them', () => {
+    const stages = visibleOwnerStages(contextFor(viewer, { following: [followed] }), { hidePrivate: true });
+    const [publicOwners, allowed] = ownerMatch(stages).$and[1].$or;
+    expect(publicOwners).toEqual({ isPrivate: { $ne: true } });
+    expect(allowed._id.$in.map(String)).toEqual([viewer, followed].map(String));
+  });
+
+  it('only checks account status for signed-out viewers', () => {
+    const [available] = ownerMatch(visibleOwnerStages(getGuestContext())).$and;
+    expect(available.$nor).toHaveLength(1);
+    expect(available.$or).toBeUndefined();
+  });
+
+  it('keeps the page order when documents are loaded by id', () => {
+    const [a, b, c] = [id(), id(), id()];
+    expect(inIdOrder([{ _id: c }, { _id: a }], [a, b, c])).toEqual([{ _id: a }, { _id: c }]);
+  });
+});
+
+describe('Account restrictions', () => {
+  const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  it('refuses banned, deactivated and currently suspended accounts', () => {
+    expect(getAccountRestriction({ status: 'banned' }).status).toBe('banned');
+    expect(getAccountRestriction({ status: 'deactivated' }).status).toBe('deactivated');
+    expect(getAccountRestriction({ status: 'suspended', suspendedUntil: inDays(1) }).status).toBe('suspended');
+    expect(getAccountRestriction({ status: 'suspended' }).status).toBe('suspended');
+  });
+
+  it('lets a suspension lapse once suspendedUntil has passed', () => {
+    expect(getAccountRestriction({ status: 'suspended', suspendedUntil: inDays(-1) })).toBeNull();
+    expect(getAccountRestriction({ status: 'active' })).toBeNull();
+  });
+});
@@ -0,0 +1,200 @@
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+import Story from '../models/Story.js';
+import CommunityPost from '../models/CommunityPost.js';
+import Service from '../models/Service.js';
+import Chat from '../models/Chat.js';
+import Notification from '../models/Notification.js';
+import Session from '../models/Session.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import Device from '../models/Device.js';
+import UsernameHistory from '../models/UsernameHistory.js';
+import RecentSearch from '../models/RecentSearch.js';
+import FollowRequest from '../models/FollowRequest.js';
+import UserSettings from '../models/UserSettings.js';
+import ProfileView from '../models/ProfileView.js';
+import { revokeUserSessions } from './sessionService.js';
+import { invalidateUserCache } from './cache.js';
+import { removeDataExports } from './dataExport.js';
+import { removeVerificationRequests } from './verificationService.js';
+import { removeUploads } from './uploadCleanup.js';
+import { getPostMediaUrls } from './postService.js';
+
+dotenv.config();
+
+export const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES) || 60;
+
+// Schedules the account for deletion and signs out every other device.
+// The user can still log in and cancel until deletionScheduledFor passes.
+export const requestAccountDeletion = async (userId, { exceptSessionId, reason = '' } = {}) => {
+  const now = new Date();
+  const user = await User.findByIdAndUpdate(userId, {
+    deletionRequestedAt: now,
+    deletionScheduledFor: new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000),
+    deletionReason: reason
+  }, { new: true });
+
+  await revokeUserSessions(userId, { exceptSessionId });
+  invalidateUserCache(userId.toString());
+  return user;
+};
+
+export const cancelAccountDeletion = async (userId) => {
+  const user = await User.findByIdAndUpdate(userId, {
+    $unset: { deletionRequestedAt: 1, deletionScheduledFor: 1, deletionReason: 1 }
+  }, { new: true });
+
+  invalidateUserCache(userId.toString());
+  return user;
+};
+
+// Removes everything the user owns and strips their traces from other
+// users' content. Chat messages are anonymized rather than deleted so the
+// other participant keeps the conversation.
+export const purgeUserData = async (userId) => {
+  const user = await User.findById(userId).select('profileImage');
+  if (!user) return;
+
+  const [posts, stories, communityPosts, services, chats] = await Promise.all([
+    Post.find({ userId }).select('media editHistory.media'),
+    Story.find({ userId }).select('media'),
+    CommunityPost.find({ userId }).select('_id'),
+    Service.find({ userId }).select('images'),
+    Chat.find({ participants: userId }).select('messages.senderId messages.media')
+  ]);
+
+  const files = [user.profileImage];
+  posts.forEach(post => files.push(...getPostMediaUrls(post)));
+  stories.forEach(story => files.push(story.media?.url, story.media?.thumbnail));
+  services.forEach(service => files.push(...service.images));
+  chats.forEach(chat => chat.messages.forEach(message => {
+    if (message.senderId.toString() === userId.toString()) {
+      files.push(message.media?.url);
+    }
+  }));
+
+  const postIds = posts.map(post => post._id);
+  const communityPostIds = communityPosts.map(post => post._id);
+
+  // Owned content
+  await Promise.all([
+    Post.deleteMany({ userId }),
+    Story.deleteMany({ userId }),
+    CommunityPost.deleteMany({ userId }),
+    Service.deleteMany({ userId }),
+    Notification.deleteMany({ $or: [{ userId }, { fromUserId: userId }] }),
+    Session.deleteMany({ userId }),
+    SecurityEvent.deleteMany({ userId }),
+    Device.deleteMany({ userId }),
+    UsernameHistory.deleteMany({ userId }),
+    RecentSearch.deleteMany({ userId }),
+    FollowRequest.deleteMany({ $or: [{ requesterId: userId }, { targetId: userId }] }),
+    UserSettings.deleteMany({ userId }),
+    ProfileView.deleteMany({ $or: [{ profileId: userId }, { viewerId: userId }] }),
+    removeDataExports({ userId }),
+    removeVerificationRequests({ userId })
+  ]);
+
+  // Likes, comments, replies and shares on other people's content.
+  // Nested arrays are cleaned first since they can't be pulled in the same
+  // update as their parent array.
+  await Post.updateMany({}, {
+    $pull: { 'comments.$[].likes': { userId }, 'comments.$[].replies': { userId } }
+  });
+  await Post.updateMany({}, {
+    $pull: { likes: { userId }, comments: { userId }, shares: { userId }, reports: { userId } }
+  });
+  await CommunityPost.updateMany({}, {
+    $pull: { 'comments.$[].replies': { userId } }
+  });
+  await CommunityPost.updateMany({}, {
+    $pull: { likes: { userId }, comments: { userId } }
+  });
+  await Story.updateMany({ 'viewers.userId': userId }, {
+    $pull: { viewers: { userId } }
+  });
+
+  // Reviews, keeping each service's rating in step
+  const reviewedServices = await Service.find({ 'reviews.userId': userId });
+  for (const service of reviewedServices) {
+    service.reviews = service.reviews.filter(review => review.userId?.toString() !== userId.toString());
+    const totalRating = service.reviews.reduce((sum, review) => sum + review.rating, 0);
+    service.rating.average = service.reviews.length ? totalRating / service.reviews.length : 0;
+    service.rating.count = service.reviews.length;
+    await service.save();
+  }
+
+  // Chat messages
+  await Chat.updateMany({ participants: userId }, {
+    $set: {
+      'messages.$[message].text': 'This message was deleted',
+      'messages.$[message].isDeleted': true,
+      'messages.$[message].deletedAt': new Date()
+    },
+    $unset: { 'messages.$[message].media': 1 }
+  }, { arrayFilters: [{ 'message.senderId': userId }] });
+
+  // Social graph and saved items
+  await User.updateMany({
+    $or: [
+      { followers: userId },
+      { following: userId },
+      { blockedUsers: userId },
+      { mutedPosts: userId },
+      { mutedStories: userId },
+      { restrictedUsers: userId },
+      { closeFriends: userId },
+      { dismissedSuggestions: userId }
+    ]
+  }, {
+    $pull: {
+      followers: userId,
+      following: userId,
+      blockedUsers: userId,
+      mutedPosts: userId,
+      mutedStories: userId,
+      restrictedUsers: userId,
+      closeFriends: userId,
+      dismissedSuggestions: userId
+    }
+  });
+  await Chat.updateMany({ requestFolderFor: userId }, { $pull: { requestFolderFor: userId } });
+  if (postIds.length || communityPostIds.length) {
+    await User.updateMany({}, {
+      $pull: {
+        savedPosts: { $in: postIds },
+        savedCommunityPosts: { $in: communityPostIds }
+      }
+    });
+  }
+
+  await removeUploads(files);
+  await User.deleteOne({ _id: userId });
+  invalidateUserCache(userId.toString());
+};
+
+// Purges every account whose grace period has ended
+export const purgeDueAccounts = async () => {
+  const dueUsers = await User.find({ deletionScheduledFor: { $lte: new Date() } }).select('_id');
+
+  for (const { _id } of dueUsers) {
+    try {
+      await purgeUserData(_id);
+      console.log(`🗑️  Purged account ${_id}`);
+    } catch (err) {
+      console.error(`Account purge failed for ${_id}:`, err.message);
+    }
+  }
+
+  return dueUsers.length;
+};
+
+export const startAccountPurgeJob = () => {
+  const timer = setInterval(() => {
+    purgeDueAccounts().catch(err => console.error('Account purge job error:', err.message));
+  }, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
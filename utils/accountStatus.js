@@ -0,0 +1,125 @@
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import { revokeUserSessions } from './sessionService.js';
+import { getAccountRestriction, notifyUserRestricted } from './authService.js';
+import { recordSecurityEvent } from './securityEvents.js';
+import { invalidateUserCache } from './cache.js';
+
+dotenv.config();
+
+const SUSPENSION_LIFT_INTERVAL_MINUTES = parseInt(process.env.SUSPENSION_LIFT_INTERVAL_MINUTES) || 5;
+
+// Account status lifecycle:
+//   active       -> normal use
+//   deactivated  -> hidden by the user; logging in again reactivates it
+//   suspended    -> set by an admin, until suspendedUntil or until lifted
+//   banned       -> set by an admin, until lifted
+// Any status but active signs the user out everywhere (see authService for
+// the per-request check) and hides their profile and content from others.
+
+export const ADMIN_STATUSES = ['active', 'suspended', 'banned'];
+
+// MongoDB filter for accounts hidden from other users, including accounts
+// waiting out their deletion grace period. Suspensions past their end date
+// count as active even before the lift job catches up.
+export const unavailableAccountsFilter = () => ({
+  $or: [
+    { status: { $in: ['deactivated', 'banned'] } },
+    { status: 'suspended', $or: [{ suspendedUntil: null }, { suspendedUntil: { $gt: new Date() } }] },
+    { deletionScheduledFor: { $exists: true } }
+  ]
+});
+
+const reactivate = async (user) => {
+  user.status = 'active';
+  user.statusReason = '';
+  user.suspendedUntil = undefined;
+  user.statusChangedAt = new Date();
+  await user.save();
+  invalidateUserCache(user._id.toString());
+};
+
+// Admin status change. Resolves to the updated user, or null if not found.
+export const setAccountStatus = async (userId, { status, reason = '', suspendedUntil }) => {
+  const update = {
+    status,
+    statusReason: status === 'active' ? '' : reason,
+    statusChangedAt: new Date()
+  };
+  if (status === 'suspended' && suspendedUntil) {
+    update.suspendedUntil = suspendedUntil;
+  } else {
+    update.$unset = { suspendedUntil: 1 };
+  }
+
+  const user = await User.findByIdAndUpdate(userId, update, { new: true });
+  if (!user) return null;
+
+  if (status !== 'active') {
+    await revokeUserSessions(userId, { reason: status });
+    notifyUserRestricted(userId, status, reason);
+  }
+  await recordSecurityEvent(userId, 'account_status_changed', null, { status, reason, suspendedUntil });
+  invalidateUserCache(userId.toString());
+  return user;
+};
+
+// The user's own choice; undone by logging in again (see prepareLogin)
+export const deactivateAccount = async (userId, { reason = '', req } = {}) => {
+  const user = await User.findByIdAndUpdate(userId, {
+    status: 'deactivated',
+    statusReason: reason,
+    statusChangedAt: new Date()
+  }, { new: true });
+
+  await revokeUserSessions(userId, { reason: 'deactivated' });
+  notifyUserRestricted(userId, 'deactivated', reason);
+  await recordSecurityEvent(userId, 'account_deactivated', req, { reason });
+  invalidateUserCache(userId.toString());
+  return user;
+};
+
+// Runs before a login session is created. Resolves to null when the login
+// may go ahead, otherwise the restriction to report. Deactivated accounts
+// are reactivated and expired suspensions lifted on the way.
+export const prepareLogin = async (user, req) => {
+  if (user.status === 'deactivated') {
+    await reactivate(user);
+    await recordSecurityEvent(user._id, 'account_reactivated', req);
+    return null;
+  }
+
+  const restriction = getAccountRestriction(user);
+  if (restriction) return restriction;
+
+  if (user.status === 'suspended') {
+    await reactivate(user);
+    await recordSecurityEvent(user._id, 'account_status_changed', req, { status: 'active', reason: 'Suspension ended' });
+  }
+  return null;
+};
+
+// Returns every suspension whose end date has passed to active
+export const liftExpiredSuspensions = async () => {
+  const due = await User.find({ status: 'suspended', suspendedUntil: { $lte: new Date() } }).select('_id');
+  if (due.length === 0) return 0;
+
+  await User.updateMany(
+    { _id: { $in: due.map(user => user._id) }, status: 'suspended' },
+    { status: 'active', statusReason: '', statusChangedAt: new Date(), $unset: { suspendedUntil: 1 } }
+  );
+  for (const { _id } of due) {
+    await recordSecurityEvent(_id, 'account_status_changed', null, { status: 'active', reason: 'Suspension ended' });
+    invalidateUserCache(_id.toString());
+  }
+
+  return due.length;
+};
+
+export const startSuspensionLiftJob = () => {
+  const timer = setInterval(() => {
+    liftExpiredSuspensions().catch(err => console.error('Suspension lift job error:', err.message));
+  }, SUSPENSION_LIFT_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,10 @@
+import { EventEmitter } from 'events';
+
+// Decouples auth and relationship state changes from the transports that react to them.
+// Events:
+//   sessionsRevoked      { sessionIds, reason }
+//   userRestricted       { userId, status, reason }
+//   userBlocked          { userId, blockedUserId }
+//   presenceSubscribed   { userId, userIds }
+//   presenceUnsubscribed { userId, userIds }
+export const authEvents = new EventEmitter();
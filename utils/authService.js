@@ -0,0 +1,94 @@
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import { isSessionActive } from './sessionService.js';
+import { authEvents } from './authEvents.js';
+
+dotenv.config();
+
+// Single source of truth for user token handling, shared by the HTTP
+// middleware (middleware/auth.js) and the Socket.io handshake.
+export const JWT_SECRET = process.env.JWT_SECRET || 'lykechat-secret-key-2024';
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+const authError = (message, status = 401, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+// Short-lived access token bound to a session (see utils/sessionService.js)
+export const generateToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sessionId, type: 'access' },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Returns null when the account may be used, otherwise { status, message, ... }.
+// Suspensions past suspendedUntil no longer apply (utils/accountStatus.js
+// also resets them to active).
+export const getAccountRestriction = (user) => {
+  if (user.status === 'deactivated') {
+    return { status: 'deactivated', message: 'This account is deactivated. Log in again to reactivate it.' };
+  }
+
+  if (user.status === 'banned') {
+    return { status: 'banned', message: 'This account has been banned.', reason: user.statusReason };
+  }
+
+  if (user.status === 'suspended' && (!user.suspendedUntil || user.suspendedUntil > new Date())) {
+    return {
+      status: 'suspended',
+      message: 'This account is suspended.',
+      reason: user.statusReason,
+      suspendedUntil: user.suspendedUntil
+    };
+  }
+
+  return null;
+};
+
+// Verifies an access token end to end: signature, token type, session
+// revocation, user existence and account restrictions.
+// Resolves to { user, sessionId } or throws an error carrying `status`.
+export const verifyAccessToken = async (token) => {
+  if (!token) {
+    throw authError('Access denied. No token provided.');
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    throw authError('Invalid token.');
+  }
+
+  if (decoded.type !== 'access' || !decoded.sessionId) {
+    throw authError('Invalid token type.');
+  }
+
+  if (!(await isSessionActive(decoded.sessionId, decoded.userId))) {
+    throw authError('Session expired or revoked.');
+  }
+
+  const user = await User.findById(decoded.userId).select('-__v');
+  if (!user) {
+    throw authError('Invalid token. User not found.');
+  }
+
+  const restriction = getAccountRestriction(user);
+  if (restriction) {
+    const { message, ...details } = restriction;
+    throw authError(message, 403, details);
+  }
+
+  return { user, sessionId: decoded.sessionId };
+};
+
+// Announces a ban, suspension or deactivation so live connections can be dropped
+export const notifyUserRestricted = (userId, status, reason) => {
+  authEvents.emit('userRestricted', { userId: userId.toString(), status, reason });
+};
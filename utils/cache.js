@@ -13,6 +13,8 @@ export const serviceCache = new NodeCache({ stdTTL: CACHE_TTL });
 export const communityCache = new NodeCache({ stdTTL: CACHE_TTL });
 export const storyCache = new NodeCache({ stdTTL: CACHE_TTL });
 export const notificationCache = new NodeCache({ stdTTL: CACHE_TTL });
+// Short-lived so a revoked session is never trusted for long on another instance
+export const sessionCache = new NodeCache({ stdTTL: 60 });
 
 // Cache utility functions
 export const getCacheKey = (prefix, id, suffix = '') => {
@@ -62,6 +64,7 @@ export const clearAllCache = () => {
   communityCache.flushAll();
   storyCache.flushAll();
   notificationCache.flushAll();
+  sessionCache.flushAll();
 };
 
 // Cache statistics
@@ -72,6 +75,7 @@ export const getCacheStats = () => {
     service: serviceCache.getStats(),
     community: communityCache.getStats(),
     story: storyCache.getStats(),
-    notification: notificationCache.getStats()
+    notification: notificationCache.getStats(),
+    session: sessionCache.getStats()
   };
 };
\ No newline at end of file
@@ -0,0 +1,249 @@
+import fs from 'fs';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import DataExport from '../models/DataExport.js';
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+import Story from '../models/Story.js';
+import CommunityPost from '../models/CommunityPost.js';
+import Service from '../models/Service.js';
+import Chat from '../models/Chat.js';
+import Notification from '../models/Notification.js';
+import Report from '../models/Report.js';
+import Device from '../models/Device.js';
+import UsernameHistory from '../models/UsernameHistory.js';
+import RecentSearch from '../models/RecentSearch.js';
+import VerificationRequest from '../models/VerificationRequest.js';
+import UserSettings from '../models/UserSettings.js';
+import ProfileView from '../models/ProfileView.js';
+import { JWT_SECRET } from './authService.js';
+import { createZipWriter } from './zipWriter.js';
+import { getPostMediaUrls } from './postService.js';
+
+dotenv.config();
+
+// Archives live outside uploads/ so they are never served statically
+const EXPORT_DIR = process.env.DATA_EXPORT_DIR || 'exports';
+const RETENTION_HOURS = parseInt(process.env.DATA_EXPORT_RETENTION_HOURS) || 48;
+const LINK_TTL_MINUTES = parseInt(process.env.DATA_EXPORT_LINK_TTL_MINUTES) || 60;
+const CLEANUP_INTERVAL_MINUTES = 60;
+
+const toJsonFile = (data) => JSON.stringify(data, null, 2);
+
+const userSummary = (user) => user && { id: user._id, username: user.username };
+
+// Collects everything stored about the user as { 'name.json': data } plus
+// the list of uploaded files that belong to them.
+const collectUserData = async (userId) => {
+  const [user, posts, stories, communityPosts, communityThreads, services, reviewed, chats, notifications, reports, devices, usernameHistory, recentSearches, verificationRequests, settings, profileVisits] = await Promise.all([
+    User.findById(userId)
+      .select('-__v')
+      .populate('followers', 'username')
+      .populate('following', 'username')
+      .populate('blockedUsers', 'username')
+      .lean(),
+    Post.find({ userId }).select('-reports -__v').lean(),
+    Story.find({ userId }).select('-__v').lean(),
+    CommunityPost.find({ userId }).select('-__v').lean(),
+    CommunityPost.find({
+      userId: { $ne: userId },
+      $or: [{ 'comments.userId': userId }, { 'comments.replies.userId': userId }]
+    }).select('question comments').lean(),
+    Service.find({ userId }).select('-__v').lean(),
+    Service.find({ 'reviews.userId': userId }).select('serviceName reviews').lean(),
+    Chat.find({ participants: userId }).populate('participants', 'username').lean(),
+    Notification.find({ userId }).populate('fromUserId', 'username').select('-__v').lean(),
+    Report.find({ reportedBy: userId }).select('-__v').lean(),
+    Device.find({ userId }).select('platform appVersion deviceName lastSeenAt createdAt').lean(),
+    UsernameHistory.find({ userId }).select('username newUsername createdAt').lean(),
+    RecentSearch.find({ userId }).select('query updatedAt').sort({ updatedAt: -1 }).lean(),
+    VerificationRequest.find({ userId }).select('-documents.path -reviewedBy -__v').lean(),
+    UserSettings.findOne({ userId }).select('-_id -userId -__v').lean(),
+    // Profiles the user visited; who visited them is other people's activity
+    ProfileView.find({ viewerId: userId }).populate('profileId', 'username').select('profileId day source lastViewedAt').lean()
+  ]);
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const isMine = (id) => id?.toString() === userId.toString();
+
+  // Answers the user left on other people's questions
+  const answers = [];
+  communityThreads.forEach(post => post.comments.forEach(comment => {
+    if (isMine(comment.userId)) {
+      answers.push({ questionId: post._id, question: post.question, text: comment.text, createdAt: comment.createdAt });
+    }
+    (comment.replies || []).filter(reply => isMine(reply.userId)).forEach(reply => {
+      answers.push({ questionId: post._id, question: post.question, inReplyTo: comment.text, text: reply.text, createdAt: reply.createdAt });
+    });
+  }));
+
+  const reviews = [];
+  reviewed.forEach(service => service.reviews.filter(review => isMine(review.userId)).forEach(review => {
+    reviews.push({ serviceId: service._id, serviceName: service.serviceName, rating: review.rating, text: review.text, createdAt: review.createdAt });
+  }));
+
+  const files = [user.profileImage];
+  // Includes media of earlier versions, which posts.json lists in editHistory
+  posts.forEach(post => files.push(...getPostMediaUrls(post)));
+  stories.forEach(story => files.push(story.media?.url, story.media?.thumbnail));
+  services.forEach(service => files.push(...service.images));
+
+  const chatHistory = chats.map(chat => ({
+    chatId: chat._id,
+    participants: chat.participants.map(userSummary),
+    messages: chat.messages
+      .filter(message => !message.deletedFor?.some(isMine))
+      .map(message => {
+        if (isMine(message.senderId)) files.push(message.media?.url);
+        return {
+          from: isMine(message.senderId) ? 'me' : message.senderId,
+          text: message.isDeleted ? '' : message.text,
+          messageType: message.messageType,
+          media: message.media?.url,
+          isDeleted: message.isDeleted,
+          createdAt: message.createdAt
+        };
+      })
+  }));
+
+  const { followers, following, blockedUsers, ...profile } = user;
+
+  return {
+    data: {
+      'profile.json': profile,
+      'followers.json': followers.map(userSummary),
+      'following.json': following.map(userSummary),
+      'blocked_users.json': blockedUsers.map(userSummary),
+      'posts.json': posts,
+      'stories.json': stories,
+      'community/questions.json': communityPosts,
+      'community/answers.json': answers,
+      'services/services.json': services,
+      'services/reviews_written.json': reviews,
+      'chats.json': chatHistory,
+      'notifications.json': notifications,
+      'reports_filed.json': reports,
+      'devices.json': devices,
+      'username_history.json': usernameHistory,
+      'recent_searches.json': recentSearches,
+      'verification_requests.json': verificationRequests,
+      'settings.json': settings || {},
+      'profile_visits.json': profileVisits
+    },
+    files: [...new Set(files.filter(file => file?.startsWith('/uploads/')))]
+  };
+};
+
+// Builds the archive for an export created by startDataExport()
+export const buildDataExport = async (exportId) => {
+  const dataExport = await DataExport.findByIdAndUpdate(exportId, { status: 'processing' }, { new: true });
+  if (!dataExport) return;
+
+  const filePath = path.join(EXPORT_DIR, `lykechat-${dataExport.userId}-${dataExport._id}.zip`);
+  let zip;
+
+  try {
+    const { data, files } = await collectUserData(dataExport.userId);
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    zip = createZipWriter(filePath);
+
+    for (const [name, content] of Object.entries(data)) {
+      await zip.addFile(name, toJsonFile(content));
+    }
+
+    const uploadsRoot = path.resolve('uploads');
+    for (const url of files) {
+      const file = path.resolve(url.slice(1));
+      if (!file.startsWith(uploadsRoot + path.sep)) continue;
+      try {
+        await zip.addFile(`media/${path.relative(uploadsRoot, file).split(path.sep).join('/')}`, await fs.promises.readFile(file));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+
+    const size = await zip.finalize();
+    const completedAt = new Date();
+
+    await DataExport.findByIdAndUpdate(exportId, {
+      status: 'ready',
+      filePath,
+      size,
+      completedAt,
+      expiresAt: new Date(completedAt.getTime() + RETENTION_HOURS * 60 * 60 * 1000)
+    });
+  } catch (err) {
+    console.error(`Data export ${exportId} failed:`, err.message);
+    zip?.abort();
+    await fs.promises.rm(filePath, { force: true });
+    await DataExport.findByIdAndUpdate(exportId, {
+      status: 'failed',
+      error: err.message,
+      expiresAt: new Date(Date.now() + RETENTION_HOURS * 60 * 60 * 1000)
+    });
+  }
+};
+
+// Queues a new export and builds it in the background
+export const startDataExport = async (userId) => {
+  const dataExport = await new DataExport({ userId }).save();
+  setImmediate(() => {
+    buildDataExport(dataExport._id).catch(err => console.error('Data export error:', err.message));
+  });
+  return dataExport;
+};
+
+// Signed download link, valid for DATA_EXPORT_LINK_TTL_MINUTES or until the archive expires
+export const generateDownloadToken = (dataExport) => {
+  const secondsLeft = Math.floor((dataExport.expiresAt.getTime() - Date.now()) / 1000);
+  return jwt.sign(
+    { exportId: dataExport._id, userId: dataExport.userId, type: 'data_export' },
+    JWT_SECRET,
+    { expiresIn: Math.max(1, Math.min(LINK_TTL_MINUTES * 60, secondsLeft)) }
+  );
+};
+
+// Returns the ready export for a download token, or null
+export const resolveDownloadToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  if (decoded.type !== 'data_export') return null;
+
+  const dataExport = await DataExport.findOne({
+    _id: decoded.exportId,
+    userId: decoded.userId,
+    status: 'ready',
+    expiresAt: { $gt: new Date() }
+  });
+  return dataExport;
+};
+
+// Removes archives (and their records) for the given query
+export const removeDataExports = async (query) => {
+  const exports = await DataExport.find(query);
+  for (const dataExport of exports) {
+    if (dataExport.filePath) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+    }
+  }
+  await DataExport.deleteMany({ _id: { $in: exports.map(dataExport => dataExport._id) } });
+  return exports.length;
+};
+
+export const startDataExportCleanupJob = () => {
+  const timer = setInterval(() => {
+    removeDataExports({ expiresAt: { $lte: new Date() } })
+      .catch(err => console.error('Data export cleanup error:', err.message));
+  }, CLEANUP_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
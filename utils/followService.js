@@ -0,0 +1,138 @@
+import User, { USER_SUMMARY_FIELDS } from '../models/User.js';
+import FollowRequest from '../models/FollowRequest.js';
+import { createNotification } from './notificationService.js';
+import { normalizeUsername, escapeRegex } from './usernameService.js';
+import { unavailableAccountsFilter } from './accountStatus.js';
+
+const sameId = (a, b) => a?.toString() === b?.toString();
+
+const LIST_DEFAULT_LIMIT = 20;
+const LIST_MAX_LIMIT = 100;
+const MUTUAL_PREVIEW_SIZE = 3;
+
+// Whether the viewer may see a user's posts, stories and follow lists.
+// `owner` needs at least isPrivate and followers.
+export const canViewAccountContent = (viewerId, owner) => {
+  if (!owner) return false;
+  if (sameId(viewerId, owner._id) || !owner.isPrivate) return true;
+  return owner.followers.some(followerId => sameId(followerId, viewerId));
+};
+
+export const followUser = async (followerId, targetId) => {
+  await User.findByIdAndUpdate(followerId, { $addToSet: { following: targetId } });
+  await User.findByIdAndUpdate(targetId, { $addToSet: { followers: followerId } });
+};
+
+export const unfollowUser = async (followerId, targetId) => {
+  await User.findByIdAndUpdate(followerId, { $pull: { following: targetId } });
+  await User.findByIdAndUpdate(targetId, { $pull: { followers: followerId } });
+};
+
+export const createFollowRequest = async (requester, targetId) => {
+  const request = await FollowRequest.findOneAndUpdate(
+    { requesterId: requester._id, targetId },
+    { $setOnInsert: { requesterId: requester._id, targetId } },
+    { upsert: true, new: true }
+  );
+
+  await createNotification({
+    userId: targetId,
+    fromUserId: requester._id,
+    type: 'follow_request',
+    message: `${requester.username} requested to follow you`
+  });
+
+  return request;
+};
+
+// Turns a pending request into a follow and tells the requester
+export const approveFollowRequest = async (request, approver) => {
+  await followUser(request.requesterId, request.targetId);
+  await FollowRequest.deleteOne({ _id: request._id });
+
+  await createNotification({
+    userId: request.requesterId,
+    fromUserId: request.targetId,
+    type: 'follow_accepted',
+    message: `${approver.username} accepted your follow request`
+  });
+};
+
+// Used when an account goes public: every pending request is approved
+export const approveAllFollowRequests = async (owner) => {
+  const requests = await FollowRequest.find({ targetId: owner._id });
+  for (const request of requests) {
+    await approveFollowRequest(request, owner);
+  }
+  return requests.length;
+};
+
+// One page of a follower/following list, most recent follows first. `ids` is
+// the full list as stored: follows are appended, so it is in follow order.
+// Users on either side of a block with the viewer (`hiddenIds`) and accounts
+// that are not active are left out. Each entry is flagged relative to the
+// viewer. Resolves to { users, nextCursor, hasMore }; pass nextCursor (the
+// last user returned) back as `cursor`. A cursor whose user has since left
+// the list ends it.
+export const getFollowListPage = async (ids, viewer, { cursor, limit, search, hiddenIds = [] } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit) || LIST_DEFAULT_LIMIT, 1), LIST_MAX_LIMIT);
+
+  let newestFirst = [...ids].reverse();
+  if (cursor) {
+    const position = newestFirst.findIndex(id => id.toString() === cursor.toString());
+    newestFirst = position === -1 ? [] : newestFirst.slice(position + 1);
+  }
+
+  const query = { _id: { $in: newestFirst, $nin: hiddenIds }, $nor: [unavailableAccountsFilter()] };
+  if (search) {
+    query.username = { $regex: escapeRegex(normalizeUsername(search)), $options: 'i' };
+  }
+
+  const fields = `${USER_SUMMARY_FIELDS} bio`.split(' ');
+  const users = await User.aggregate([
+    { $match: query },
+    { $addFields: { followPosition: { $indexOfArray: [newestFirst, '$_id'] } } },
+    { $sort: { followPosition: 1 } },
+    { $limit: pageSize + 1 },
+    { $project: Object.fromEntries(fields.map(field => [field, 1])) }
+  ]);
+
+  const hasMore = users.length > pageSize;
+  if (hasMore) users.pop();
+
+  const viewerFollowing = new Set(viewer.following.map(String));
+  const viewerFollowers = new Set(viewer.followers.map(String));
+
+  return {
+    users: users.map(user => ({
+      ...user,
+      isYou: sameId(user._id, viewer._id),
+      youFollow: viewerFollowing.has(user._id.toString()),
+      followsYou: viewerFollowers.has(user._id.toString())
+    })),
+    nextCursor: hasMore ? users[users.length - 1]._id : null,
+    hasMore
+  };
+};
+
+// Followers of the profile that the viewer follows ("followed by people you know")
+export const getMutualFollowerIds = (viewer, profile) => {
+  const profileFollowers = new Set(profile.followers.map(String));
+  return viewer.following.filter(id => profileFollowers.has(id.toString()) && !sameId(id, profile._id));
+};
+
+// { count, users } where users previews the first few mutual followers.
+// Accounts in `hiddenIds` and accounts that are not active are not counted.
+export const getMutualFollowersSummary = async (viewer, profile, hiddenIds = []) => {
+  const hidden = new Set(hiddenIds.map(String));
+  const query = {
+    _id: { $in: getMutualFollowerIds(viewer, profile).filter(id => !hidden.has(id.toString())) },
+    $nor: [unavailableAccountsFilter()]
+  };
+  const [count, users] = await Promise.all([
+    User.countDocuments(query),
+    User.find(query).select(USER_SUMMARY_FIELDS).limit(MUTUAL_PREVIEW_SIZE)
+  ]);
+
+  return { count, users };
+};
@@ -0,0 +1,67 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Mail transports, selected by MAIL_TRANSPORT:
+//   smtp - real delivery using the EMAIL_* settings (default)
+//   file - writes every message as an .eml file into MAIL_OUTBOX_DIR
+//   stub - prints the message to the console and delivers nothing
+const createTransport = (name) => {
+  switch (name) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port: parseInt(process.env.EMAIL_PORT) || 587,
+        secure: parseInt(process.env.EMAIL_PORT) === 465,
+        auth: process.env.EMAIL_USER ? {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS
+        } : undefined
+      });
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case 'stub':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown mail transport: ${name}`);
+  }
+};
+
+const transports = {};
+
+const getTransport = (name) => {
+  if (!transports[name]) {
+    transports[name] = createTransport(name);
+  }
+  return transports[name];
+};
+
+// Sends an email through the configured transport.
+// Returns the nodemailer info object (plus `file` for the file transport).
+export const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'smtp';
+  const info = await getTransport(transportName).sendMail({
+    from: process.env.EMAIL_FROM || 'noreply@lykechat.app',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (transportName === 'file') {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || 'mail-outbox';
+    const file = path.join(outboxDir, `${Date.now()}-${String(to).replace(/[^\w.@-]/g, '_')}.eml`);
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+    await fs.promises.writeFile(file, info.message);
+    return { ...info, file };
+  }
+
+  if (transportName === 'stub') {
+    console.log(`✉️  Mail to ${to}: ${subject}\n${text}`);
+  }
+
+  return info;
+};
@@ -0,0 +1,49 @@
+import User from '../models/User.js';
+import { createNotifications } from './notificationService.js';
+import { canInteract } from './settingsService.js';
+import { getPostForViewer } from './visibility.js';
+
+// @handle preceded by start of text or a non-word character, so emails
+// (name@example.com) are not mistaken for mentions
+const MENTION_PATTERN = /(^|[^\w@])@([a-z0-9._]{3,30})/gi;
+const MAX_MENTIONS = 20;
+
+// Lowercased handles mentioned in the text, without duplicates
+export const extractMentions = (text) => {
+  const handles = new Set();
+  for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+    // A trailing period ends the sentence, not the handle
+    handles.add(match[2].toLowerCase().replace(/\.+$/, ''));
+  }
+  return [...handles].slice(0, MAX_MENTIONS);
+};
+
+// Notifies the users mentioned in a post or comment, as long as they can
+// see the post and their whoCanMention setting allows the author
+export const notifyMentions = async ({ text, author, postId, where }) => {
+  const handles = extractMentions(text);
+  if (handles.length === 0) return [];
+
+  const mentioned = await User.find({
+    username: { $in: handles },
+    _id: { $ne: author._id },
+    status: 'active'
+  }).select('_id');
+
+  const recipients = [];
+  for (const { _id } of mentioned) {
+    const [allowed, { error }] = await Promise.all([
+      canInteract(_id, author._id, 'whoCanMention'),
+      getPostForViewer(_id, postId)
+    ]);
+    if (allowed && !error) recipients.push(_id);
+  }
+
+  return createNotifications(recipients.map(userId => ({
+    userId,
+    fromUserId: author._id,
+    type: 'mention',
+    message: `${author.username} mentioned you in a ${where}`,
+    postId
+  })));
+};
@@ -0,0 +1,67 @@
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { getSettingsForUsers, getNotificationPreference } from './settingsService.js';
+import { sendPushToUser } from './pushService.js';
+
+// Every notification goes through here so that a block in either direction
+// also silences notifications between the two users, and so that each
+// recipient's notification preferences are honoured. System notifications
+// (no fromUserId) are never blocked.
+
+const getBlockLookup = async (notifications) => {
+  const userIds = [...new Set(notifications.flatMap(n => [n.userId, n.fromUserId]).filter(Boolean).map(String))];
+  const users = await User.find({ _id: { $in: userIds } }).select('blockedUsers').lean();
+  const blockedBy = new Map(users.map(user => [String(user._id), new Set(user.blockedUsers.map(String))]));
+
+  return (a, b) => Boolean(blockedBy.get(a)?.has(b) || blockedBy.get(b)?.has(a));
+};
+
+// Drops notifications that are blocked or that the recipient turned off
+const filterAllowed = async (notifications) => {
+  const [isBlocked, settings] = await Promise.all([
+    getBlockLookup(notifications),
+    getSettingsForUsers(notifications.map(n => n.userId))
+  ]);
+
+  return notifications.filter(n =>
+    !isBlocked(String(n.userId), String(n.fromUserId)) &&
+    settings.get(String(n.userId)).notifications[getNotificationPreference(n.type)] !== false
+  );
+};
+
+// Pushes saved notifications to all of their recipients' devices. Delivery
+// failures are logged and never fail the request that created them.
+const pushNotifications = (saved) => {
+  saved.forEach(notification => {
+    sendPushToUser(notification.userId, {
+      title: 'Lykechat',
+      body: notification.message,
+      data: { type: notification.type, notificationId: notification._id }
+    }).catch(err => console.error('Push notification error:', err.message));
+  });
+};
+
+// Creates the notifications that pass the block and preference checks
+export const createNotifications = async (notifications) => {
+  if (notifications.length === 0) return [];
+
+  const allowed = await filterAllowed(notifications);
+  if (allowed.length === 0) return [];
+
+  const saved = await Notification.insertMany(allowed);
+  pushNotifications(saved);
+  return saved;
+};
+
+// Resolves to the saved notification, or null when a block or the
+// recipient's preferences suppressed it
+export const createNotification = async (notification) => {
+  const [allowed] = await filterAllowed([notification]);
+  if (!allowed) {
+    return null;
+  }
+
+  const saved = await new Notification(notification).save();
+  pushNotifications([saved]);
+  return saved;
+};
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import FormData from 'form-data';
+import dotenv from 'dotenv';
+import { sendMail } from './mailer.js';
+
+dotenv.config();
+
+// Every provider exposes the same shape:
+//   { name, send: async (recipient, otp) => ({ message, status }) }
+// `status` mirrors the response of the original SMS vendor so callers don't
+// need to know which provider actually delivered the code.
+
+const EMAIL_REGEX = /^\S+@\S+\.\S+$/;
+
+const renderTemplate = (template, values) => {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (
+    values[key] !== undefined ? values[key] : match
+  ));
+};
+
+const parseJsonEnv = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    console.error('Invalid JSON in OTP provider configuration:', err.message);
+    return fallback;
+  }
+};
+
+// Original vendor (codemindstudio.in)
+export const createCodemindProvider = () => ({
+  name: 'codemind',
+  send: async (phone, otp) => {
+    const form = new FormData();
+    form.append('otp', otp);
+    form.append('type', 'SMS');
+    form.append('numberOrMail', phone);
+
+    const res = await axios.post(
+      process.env.OTP_API_URL || 'https://api.codemindstudio.in/api/start_verification',
+      form,
+      {
+        headers: {
+          ...form.getHeaders(),
+          'Api-Key': process.env.OTP_API_KEY,
+          'Api-Salt': process.env.OTP_API_SALT
+        }
+      }
+    );
+
+    return res.data; // { message, status }
+  }
+});
+
+// Generic HTTP/SMS gateway configured entirely through env variables.
+// OTP_HTTP_HEADERS and OTP_HTTP_BODY are JSON strings; {{phone}}, {{otp}}
+// and {{message}} placeholders are substituted in the URL and body.
+export const createHttpGatewayProvider = () => ({
+  name: 'http',
+  send: async (phone, otp) => {
+    const url = process.env.OTP_HTTP_URL;
+    if (!url) {
+      return { message: 'OTP_HTTP_URL is not configured', status: false };
+    }
+
+    const values = {
+      phone,
+      otp,
+      message: renderTemplate(
+        process.env.OTP_MESSAGE_TEMPLATE || 'Your Lykechat verification code is {{otp}}',
+        { otp }
+      )
+    };
+
+    const method = (process.env.OTP_HTTP_METHOD || 'POST').toUpperCase();
+    const headers = parseJsonEnv(process.env.OTP_HTTP_HEADERS, {});
+    const bodyTemplate = process.env.OTP_HTTP_BODY || '{"to":"{{phone}}","message":"{{message}}"}';
+
+    const res = await axios({
+      method,
+      url: renderTemplate(url, values),
+      headers: { 'Content-Type': 'application/json', ...headers },
+      data: method === 'GET' ? undefined : parseJsonEnv(renderTemplate(bodyTemplate, values), {}),
+      validateStatus: () => true
+    });
+
+    const ok = res.status >= 200 && res.status < 300;
+    return {
+      message: ok ? 'OTP sent' : `Gateway responded with status ${res.status}`,
+      status: ok
+    };
+  }
+});
+
+// Email delivery through utils/mailer.js. Mobile numbers can be routed
+// through an email-to-SMS gateway by setting OTP_EMAIL_GATEWAY_DOMAIN.
+export const createEmailProvider = () => ({
+  name: 'email',
+  send: async (recipient, otp) => {
+    let to = recipient;
+    if (!EMAIL_REGEX.test(recipient)) {
+      if (!process.env.OTP_EMAIL_GATEWAY_DOMAIN) {
+        return { message: 'Recipient is not an email address', status: false };
+      }
+      to = `${recipient}@${process.env.OTP_EMAIL_GATEWAY_DOMAIN}`;
+    }
+
+    await sendMail({
+      to,
+      subject: 'Your Lykechat verification code',
+      text: renderTemplate(
+        process.env.OTP_MESSAGE_TEMPLATE || 'Your Lykechat verification code is {{otp}}',
+        { otp }
+      )
+    });
+
+    return { message: 'OTP sent', status: true };
+  }
+});
+
+// Local provider for development and tests. Codes are printed to the console,
+// optionally appended to OTP_LOG_FILE, and kept in memory so tests can read
+// them back with getLastOtp().
+const sentOtps = new Map();
+
+export const createConsoleProvider = () => ({
+  name: 'console',
+  send: async (recipient, otp) => {
+    sentOtps.set(recipient, otp);
+    console.log(`📨 OTP for ${recipient}: ${otp}`);
+
+    if (process.env.OTP_LOG_FILE) {
+      const line = `${new Date().toISOString()} ${recipient} ${otp}\n`;
+      await fs.promises.mkdir(path.dirname(process.env.OTP_LOG_FILE), { recursive: true });
+      await fs.promises.appendFile(process.env.OTP_LOG_FILE, line);
+    }
+
+    return { message: 'OTP logged', status: true };
+  }
+});
+
+export const getLastOtp = (recipient) => sentOtps.get(recipient);
+
+const providerFactories = {
+  codemind: createCodemindProvider,
+  http: createHttpGatewayProvider,
+  email: createEmailProvider,
+  console: createConsoleProvider
+};
+
+const providerInstances = {};
+
+const defaultProviderName = (channel) => (
+  channel === 'email'
+    ? process.env.OTP_EMAIL_PROVIDER || 'email'
+    : process.env.OTP_PROVIDER || 'codemind'
+);
+
+// Resolved on every call so the provider can be switched through
+// OTP_PROVIDER / OTP_EMAIL_PROVIDER at runtime (e.g. by the test suite).
+export const getOtpProvider = (channel = 'sms', name = defaultProviderName(channel)) => {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown OTP provider: ${name}`);
+  }
+
+  if (!providerInstances[name]) {
+    providerInstances[name] = factory();
+  }
+  return providerInstances[name];
+};
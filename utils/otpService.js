@@ -1,55 +1,208 @@
-import axios from 'axios';
-import FormData from 'form-data';
+import crypto from 'crypto';
 import NodeCache from 'node-cache';
 import dotenv from 'dotenv';
+import { getOtpProvider } from './otpProviders.js';
 
 dotenv.config();
 
-// Cache for OTP storage (expires in 1 minute)
-const otpCache = new NodeCache({ stdTTL: 60 });
+const OTP_TTL = parseInt(process.env.OTP_TTL_SECONDS) || 60;
+const MAX_VERIFY_ATTEMPTS = parseInt(process.env.OTP_MAX_VERIFY_ATTEMPTS) || 5;
+const RESEND_BASE_COOLDOWN = parseInt(process.env.OTP_RESEND_BASE_COOLDOWN) || 30;
+const RESEND_MAX_COOLDOWN = parseInt(process.env.OTP_RESEND_MAX_COOLDOWN) || 15 * 60;
+const MAX_SENDS_PER_NUMBER = parseInt(process.env.OTP_MAX_SENDS_PER_NUMBER) || 5;
+const MAX_SENDS_PER_IP = parseInt(process.env.OTP_MAX_SENDS_PER_IP) || 20;
+const MAX_FAILURES_PER_NUMBER = parseInt(process.env.OTP_MAX_FAILURES_PER_NUMBER) || 10;
+const MAX_FAILURES_PER_IP = parseInt(process.env.OTP_MAX_FAILURES_PER_IP) || 30;
+const LOCKOUT_SECONDS = parseInt(process.env.OTP_LOCKOUT_SECONDS) || 30 * 60;
+const COUNTER_WINDOW = 60 * 60; // Send/failure counters reset after 1 hour
 
-export const sendOtpViaSMS = async (phone, otp) => {
+const OTP_SECRET = process.env.OTP_HASH_SECRET || process.env.JWT_SECRET || 'lykechat-otp-secret-2024';
+
+// Hashed OTPs: [purpose:]recipient -> { hash, attempts }
+const otpCache = new NodeCache({ stdTTL: OTP_TTL });
+// Send and failure counters per recipient/IP: key -> { count, lastAt }
+const counterCache = new NodeCache({ stdTTL: COUNTER_WINDOW });
+// Active lockouts: key -> unlock timestamp (ms)
+const lockCache = new NodeCache();
+
+const hashOtp = (key, otp) => {
+  return crypto.createHmac('sha256', OTP_SECRET).update(`${key}:${otp}`).digest('hex');
+};
+
+// Codes for different flows (login, email linking, ...) never satisfy each other
+const getOtpKey = (recipient, purpose) => (purpose ? `${purpose}:${recipient}` : recipient);
+
+const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+const getLockRetryAfter = (key) => {
+  const until = lockCache.get(key);
+  return until && until > Date.now() ? secondsUntil(until) : 0;
+};
+
+const lock = (key) => {
+  lockCache.set(key, Date.now() + LOCKOUT_SECONDS * 1000, LOCKOUT_SECONDS);
+};
+
+// Increments a windowed counter, keeping the original window expiry
+const increment = (key) => {
+  const counter = counterCache.get(key) || { count: 0, lastAt: 0 };
+  counter.count += 1;
+  counter.lastAt = Date.now();
+  const ttl = counterCache.getTtl(key);
+  counterCache.set(key, counter, ttl ? Math.max(1, Math.ceil((ttl - Date.now()) / 1000)) : COUNTER_WINDOW);
+  return counter.count;
+};
+
+const getRetryAfter = (recipient, ip) => Math.max(
+  getLockRetryAfter(`recipient:${recipient}`),
+  ip ? getLockRetryAfter(`ip:${ip}`) : 0
+);
+
+const throttled = (message, retryAfter) => ({ message, status: false, retryAfter });
+
+// Cooldown before the next resend doubles with every OTP sent in the window
+const getResendCooldown = (sendCount) => {
+  return Math.min(RESEND_BASE_COOLDOWN * 2 ** Math.max(0, sendCount - 1), RESEND_MAX_COOLDOWN);
+};
+
+// Returns { allowed, retryAfter, message } for an OTP send request
+export const checkOtpSendAllowed = (recipient, ip) => {
+  const lockRetryAfter = getRetryAfter(recipient, ip);
+  if (lockRetryAfter) {
+    return { allowed: false, retryAfter: lockRetryAfter, message: 'Too many attempts. Try again later.' };
+  }
+
+  // Hourly send quotas per recipient and per IP
+  const quotas = [[`send:recipient:${recipient}`, MAX_SENDS_PER_NUMBER]];
+  if (ip) quotas.push([`send:ip:${ip}`, MAX_SENDS_PER_IP]);
+  for (const [key, max] of quotas) {
+    const counter = counterCache.get(key);
+    if (counter && counter.count >= max) {
+      return { allowed: false, retryAfter: secondsUntil(counterCache.getTtl(key)), message: 'OTP request limit reached. Try again later.' };
+    }
+  }
+
+  const sends = counterCache.get(`send:recipient:${recipient}`);
+  if (sends) {
+    const readyAt = sends.lastAt + getResendCooldown(sends.count) * 1000;
+    if (readyAt > Date.now()) {
+      return { allowed: false, retryAfter: secondsUntil(readyAt), message: 'Please wait before requesting another OTP' };
+    }
+  }
+
+  return { allowed: true, retryAfter: 0 };
+};
+
+// Delivers the OTP through the provider configured for the channel
+// (OTP_PROVIDER for 'sms', OTP_EMAIL_PROVIDER for 'email').
+export const sendOtp = async (recipient, otp, { ip, channel = 'sms', purpose } = {}) => {
   try {
-    const form = new FormData();
-    form.append('otp', otp);
-    form.append('type', 'SMS');
-    form.append('numberOrMail', phone);
-
-    const res = await axios.post(
-      'https://api.codemindstudio.in/api/start_verification',
-      form,
-      {
-        headers: {
-          ...form.getHeaders(),
-          'Api-Key': process.env.OTP_API_KEY,
-          'Api-Salt': process.env.OTP_API_SALT
-        }
-      }
-    );
-
-    // Store OTP in cache for 1 minute
-    otpCache.set(phone, otp);
-    
-    return res.data; // { message, status }
+    const check = checkOtpSendAllowed(recipient, ip);
+    if (!check.allowed) {
+      return throttled(check.message, check.retryAfter);
+    }
+
+    const provider = getOtpProvider(channel);
+    const result = await provider.send(recipient, otp);
+
+    if (result.status) {
+      // Store only the hash of the OTP
+      const key = getOtpKey(recipient, purpose);
+      otpCache.set(key, { hash: hashOtp(key, otp), attempts: 0 });
+
+      const recipientSends = increment(`send:recipient:${recipient}`);
+      if (ip) increment(`send:ip:${ip}`);
+
+      return {
+        ...result,
+        expiresIn: OTP_TTL,
+        retryAfter: getResendCooldown(recipientSends)
+      };
+    }
+
+    return result; // { message, status }
   } catch (err) {
     console.error('OTP sending error:', err);
     return { message: 'OTP sending failed', status: false };
   }
 };
 
-export const generateOtp = () => Math.floor(100000 + Math.random() * 900000).toString();
+export const sendOtpViaSMS = (phone, otp, options) => sendOtp(phone, otp, { ...options, channel: 'sms' });
+
+export const sendOtpViaEmail = (email, otp, options) => sendOtp(email, otp, { ...options, channel: 'email' });
+
+export const generateOtp = () => crypto.randomInt(100000, 1000000).toString();
+
+const recordFailure = (recipient, key, ip) => {
+  if (increment(`fail:recipient:${recipient}`) >= MAX_FAILURES_PER_NUMBER) {
+    lock(`recipient:${recipient}`);
+    otpCache.del(key);
+  }
+  if (ip && increment(`fail:ip:${ip}`) >= MAX_FAILURES_PER_IP) {
+    lock(`ip:${ip}`);
+  }
+};
+
+// Returns { success, message, attemptsLeft?, retryAfter? }
+// With `consume: false` a correct code stays valid until clearOtp() is called,
+// for flows that must check several codes before acting.
+export const verifyOtp = (recipient, otp, { ip, purpose, consume = true } = {}) => {
+  const lockRetryAfter = getRetryAfter(recipient, ip);
+  if (lockRetryAfter) {
+    return { success: false, message: 'Too many attempts. Try again later.', retryAfter: lockRetryAfter };
+  }
+
+  const key = getOtpKey(recipient, purpose);
+  const entry = otpCache.get(key);
+  if (!entry) {
+    return { success: false, message: 'Invalid or expired OTP' };
+  }
+
+  const expected = Buffer.from(entry.hash, 'hex');
+  const actual = Buffer.from(hashOtp(key, String(otp)), 'hex');
+
+  if (crypto.timingSafeEqual(expected, actual)) {
+    if (consume) {
+      clearOtp(recipient, purpose); // Remove OTP after successful verification
+    }
+    return { success: true, message: 'OTP verified' };
+  }
+
+  entry.attempts += 1;
+  recordFailure(recipient, key, ip);
 
-export const verifyOtp = (phone, otp) => {
-  const cachedOtp = otpCache.get(phone);
-  if (cachedOtp && cachedOtp === otp) {
-    otpCache.del(phone); // Remove OTP after successful verification
-    return true;
+  const failureLock = getRetryAfter(recipient, ip);
+  if (failureLock) {
+    return { success: false, message: 'Too many attempts. Try again later.', retryAfter: failureLock };
   }
-  return false;
+
+  const attemptsLeft = MAX_VERIFY_ATTEMPTS - entry.attempts;
+  if (attemptsLeft <= 0) {
+    // Burn the code after too many wrong guesses
+    otpCache.del(key);
+    return { success: false, message: 'Too many incorrect attempts. Request a new OTP.', attemptsLeft: 0 };
+  }
+
+  const ttl = otpCache.getTtl(key);
+  otpCache.set(key, entry, ttl ? Math.max(1, Math.ceil((ttl - Date.now()) / 1000)) : OTP_TTL);
+
+  return { success: false, message: 'Invalid or expired OTP', attemptsLeft };
+};
+
+export const clearOtp = (recipient, purpose) => {
+  otpCache.del(getOtpKey(recipient, purpose));
+  counterCache.del([`fail:recipient:${recipient}`, `send:recipient:${recipient}`]);
+};
+
+// Clears all OTP state (used by the test suite)
+export const resetOtpState = () => {
+  otpCache.flushAll();
+  counterCache.flushAll();
+  lockCache.flushAll();
 };
 
 export const getIndianTime = () => {
-  return new Date().toLocaleString('en-IN', { 
+  return new Date().toLocaleString('en-IN', {
     timeZone: 'Asia/Kolkata',
     year: 'numeric',
     month: '2-digit',
@@ -58,4 +211,4 @@ export const getIndianTime = () => {
     minute: '2-digit',
     second: '2-digit'
   });
-};
\ No newline at end of file
+};
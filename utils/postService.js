@@ -0,0 +1,148 @@
+import fs from 'fs';
+import Post from '../models/Post.js';
+import Notification from '../models/Notification.js';
+import { extractMentions } from './mentionService.js';
+import { removeUploads } from './uploadCleanup.js';
+
+export const MAX_POST_MEDIA = 10;
+// Older versions beyond this are dropped from a post's edit history
+export const MAX_POST_EDIT_HISTORY = 50;
+
+// Media entry for a file multer stored for a post
+export const toPostMedia = (file) => ({
+  type: file.mimetype.startsWith('image/') ? 'image' : 'video',
+  url: `/uploads/posts/${file.filename}`
+});
+
+// Removes files uploaded with an edit that was then refused
+export const discardUploads = async (files = []) => {
+  await Promise.all(files.map(file => fs.promises.rm(file.path, { force: true })));
+};
+
+// mediaOrder arrives as an array in JSON bodies and as a JSON string in
+// multipart forms
+export const parseMediaOrder = (value) => {
+  if (value === undefined || Array.isArray(value)) return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Builds the post's new media list. `mediaOrder` lists existing media IDs
+// and `new:<n>` for the n-th uploaded file; media left out are removed and
+// uploads left out are added at the end. Without `mediaOrder` the existing
+// media keep their order. Returns { media } or { error }.
+const buildMedia = (post, mediaOrder, files) => {
+  const uploads = files.map(toPostMedia);
+  if (mediaOrder === undefined) {
+    return { media: [...post.media.map(media => media.toObject()), ...uploads] };
+  }
+
+  const media = [];
+  const placed = new Set();
+  for (const entry of mediaOrder) {
+    if (placed.has(entry)) {
+      return { error: `Media ${entry} is listed twice` };
+    }
+    placed.add(entry);
+
+    const upload = /^new:(\d+)$/.exec(entry);
+    const existing = upload ? null : post.media.find(item => item._id.toString() === entry);
+    if (upload ? !uploads[upload[1]] : !existing) {
+      return { error: `Unknown media ${entry}` };
+    }
+    media.push(upload ? uploads[upload[1]] : existing.toObject());
+  }
+
+  uploads.forEach((item, index) => {
+    if (!placed.has(`new:${index}`)) media.push(item);
+  });
+  return { media };
+};
+
+// Drops versions beyond MAX_POST_EDIT_HISTORY, oldest first. Resolves to
+// the URLs of files only those versions used, which nothing keeps now.
+const trimEditHistory = (post) => {
+  if (post.editHistory.length <= MAX_POST_EDIT_HISTORY) return [];
+
+  const dropped = post.editHistory.splice(0, post.editHistory.length - MAX_POST_EDIT_HISTORY);
+  const stillUsed = new Set(getPostMediaUrls(post));
+  const droppedUrls = dropped.flatMap(version => version.media.flatMap(item => [item.url, item.thumbnail]));
+  return [...new Set(droppedUrls)].filter(url => url && !stillUsed.has(url));
+};
+
+const sameMedia = (a, b) => {
+  return a.length === b.length && a.every((item, index) => item.url === b[index].url);
+};
+
+// Applies an owner's edit to a post (not saved). The replaced version goes
+// to editHistory. Returns { changed, newMentions, orphanedMedia } or
+// { error }; remove orphanedMedia with removeUploads() once the post is saved.
+export const applyPostEdit = (post, { description, type, mediaOrder, files = [] }) => {
+  const { media, error } = buildMedia(post, mediaOrder, files);
+  if (error) {
+    return { error };
+  }
+  if (media.length > MAX_POST_MEDIA) {
+    return { error: `A post can have at most ${MAX_POST_MEDIA} media` };
+  }
+
+  const next = {
+    description: description ?? post.description,
+    type: type ?? post.type,
+    media
+  };
+  if (!next.description.trim() && next.media.length === 0) {
+    return { error: 'A post needs a description or media' };
+  }
+
+  const changed = next.description !== post.description
+    || next.type !== post.type
+    || !sameMedia(next.media, post.media);
+  if (!changed) {
+    return { changed: false, newMentions: [], orphanedMedia: [] };
+  }
+
+  const previousMentions = new Set(extractMentions(post.description));
+  const newMentions = extractMentions(next.description).filter(handle => !previousMentions.has(handle));
+
+  post.editHistory.push({
+    description: post.description,
+    type: post.type,
+    media: post.media.map(item => item.toObject()),
+    editedAt: new Date()
+  });
+
+  post.description = next.description;
+  post.type = next.type;
+  post.media = next.media;
+  post.editedAt = new Date();
+
+  return { changed: true, newMentions, orphanedMedia: trimEditHistory(post) };
+};
+
+// URLs of every file a post uses, including media of earlier versions that
+// were since removed from it. Works on lean documents too.
+export const getPostMediaUrls = (post) => {
+  return [post.media || [], ...(post.editHistory || []).map(version => version.media || [])]
+    .flatMap(media => media.flatMap(item => [item.url, item.thumbnail]))
+    .filter(Boolean);
+};
+
+// Removes a post for good, with its files and the notifications about it
+export const deletePost = async (post) => {
+  await Post.deleteOne({ _id: post._id });
+  await Notification.deleteMany({ postId: post._id });
+  await removeUploads(getPostMediaUrls(post));
+};
+
+// Archived posts stay with the owner but are hidden from everyone else,
+// and from feeds and profile grids (see utils/visibility.js)
+export const setPostArchived = async (post, archived) => {
+  post.isArchived = archived;
+  post.archivedAt = archived ? new Date() : undefined;
+  await post.save();
+  return post;
+};
@@ -0,0 +1,94 @@
+import User from '../models/User.js';
+import Chat from '../models/Chat.js';
+import { getUserSettings, isPresenceVisibleTo, applyPresencePrivacy } from './settingsService.js';
+import { getViewerContext, loadAccountStates, isHiddenUser } from './visibility.js';
+
+// Presence is tracked per connection: a user is online while at least one
+// of their devices has a socket open. Counts live in this process, so
+// resetPresence() clears the stored flags left over from a previous run.
+
+export const MAX_PRESENCE_SUBSCRIPTIONS = 100;
+
+const connections = new Map();
+const pendingUpdates = new Map();
+
+// Socket.io room that receives presence changes of `userId` for users who
+// subscribed to them (see POST /api/users/presence/subscribe)
+export const presenceRoom = (userId) => `presence_${userId}`;
+
+// Returns true when this is the user's first open connection
+export const addConnection = (userId) => {
+  const count = (connections.get(userId) || 0) + 1;
+  connections.set(userId, count);
+  return count === 1;
+};
+
+// Returns true when the user's last open connection just closed
+export const removeConnection = (userId) => {
+  const count = (connections.get(userId) || 1) - 1;
+  if (count > 0) {
+    connections.set(userId, count);
+    return false;
+  }
+  connections.delete(userId);
+  return true;
+};
+
+// Runs a user's presence writes one after another, so the write for a
+// quick reconnect is never overtaken by the one for the disconnect before it
+export const queuePresenceUpdate = (userId, task) => {
+  const update = (pendingUpdates.get(userId) || Promise.resolve())
+    .then(task)
+    .catch(err => console.error('Presence update error:', err.message));
+  pendingUpdates.set(userId, update);
+  update.then(() => {
+    if (pendingUpdates.get(userId) === update) pendingUpdates.delete(userId);
+  });
+  return update;
+};
+
+export const resetPresence = async () => {
+  connections.clear();
+  await User.updateMany({ isOnline: true }, { isOnline: false, lastSeen: new Date() });
+};
+
+// Splits the users who should hear about a presence change of `userId`
+// into those who may also see lastSeen and those who may not. Candidates
+// are followers, chat partners and `subscriberIds`; the owner's presence
+// settings decide, and users on either side of a block are left out.
+export const getPresenceRecipients = async (userId, subscriberIds = []) => {
+  const [{ presence }, owner, blockedBy, chatPartners] = await Promise.all([
+    getUserSettings(userId),
+    User.findById(userId).select('followers blockedUsers').lean(),
+    User.distinct('_id', { blockedUsers: userId }),
+    Chat.distinct('participants', { participants: userId })
+  ]);
+
+  const blocked = new Set([...(owner?.blockedUsers || []), ...blockedBy].map(String));
+  const followers = new Set((owner?.followers || []).map(String));
+  const candidates = new Set([...followers, ...chatPartners.map(String), ...subscriberIds.map(String)]);
+  candidates.delete(String(userId));
+
+  const recipients = { withLastSeen: [], withoutLastSeen: [] };
+  candidates.forEach(id => {
+    const isFollower = followers.has(id);
+    if (blocked.has(id) || !isPresenceVisibleTo(presence.showOnlineStatusTo, isFollower)) return;
+
+    const group = isPresenceVisibleTo(presence.showLastSeenTo, isFollower) ? 'withLastSeen' : 'withoutLastSeen';
+    recipients[group].push(id);
+  });
+  return recipients;
+};
+
+// Current presence of `userIds` as the viewer may see it. Blocked and
+// unavailable users are left out; hidden fields are omitted.
+export const getPresenceSnapshot = async (viewerId, userIds) => {
+  const context = await getViewerContext(viewerId);
+  await loadAccountStates(context, userIds);
+  const visibleIds = [...new Set(userIds.map(String))].filter(id => !isHiddenUser(context, id));
+
+  const users = await User.find({ _id: { $in: visibleIds } }).select('isOnline lastSeen').lean();
+  await applyPresencePrivacy(viewerId, users);
+
+  return users.map(({ _id, isOnline, lastSeen }) => ({ userId: _id, isOnline, lastSeen }));
+};
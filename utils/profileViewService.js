@@ -0,0 +1,117 @@
+import dotenv from 'dotenv';
+import User, { USER_SUMMARY_FIELDS } from '../models/User.js';
+import ProfileView from '../models/ProfileView.js';
+import { getUserSettings, getSettingsForUsers } from './settingsService.js';
+import { getViewerContext, loadAccountStates, isHiddenUser } from './visibility.js';
+
+dotenv.config();
+
+export const PROFILE_VIEW_RETENTION_DAYS = parseInt(process.env.PROFILE_VIEW_RETENTION_DAYS) || 90;
+
+const RECENT_VIEWERS_LIMIT = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD of `date` in the given time zone
+export const localDay = (date, timezone) => {
+  return date.toLocaleDateString('en-CA', { timeZone: timezone });
+};
+
+// Every day of the last `days` days, oldest first
+export const lastDays = (days, timezone, now = new Date()) => {
+  const result = new Set();
+  for (let i = days - 1; i >= 0; i--) {
+    result.add(localDay(new Date(now.getTime() - i * DAY_MS), timezone));
+  }
+  return [...result];
+};
+
+// Records a visit of `profileId` by `viewerId`, at most once per viewer
+// per day in the owner's time zone. Own visits are not counted.
+export const recordProfileView = async (profileId, viewerId, source = 'direct') => {
+  if (profileId.toString() === viewerId.toString()) return;
+
+  const { timezone } = await getUserSettings(profileId);
+  const now = new Date();
+
+  try {
+    await ProfileView.updateOne(
+      { profileId, viewerId, day: localDay(now, timezone) },
+      {
+        $set: { lastViewedAt: now },
+        $setOnInsert: { source, expiresAt: new Date(now.getTime() + PROFILE_VIEW_RETENTION_DAYS * DAY_MS) }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Two requests raced to create the day's record; one is enough
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Recent viewers are only shown to owners who opted in, and only list
+// viewers who opted in as well and are not blocked or unavailable
+const getRecentViewers = async (userId, since) => {
+  const visits = await ProfileView.aggregate([
+    { $match: { profileId: userId, day: { $gte: since } } },
+    { $group: { _id: '$viewerId', visits: { $sum: 1 }, lastViewedAt: { $max: '$lastViewedAt' } } },
+    { $sort: { lastViewedAt: -1 } },
+    { $limit: RECENT_VIEWERS_LIMIT * 2 }
+  ]);
+
+  const viewerIds = visits.map(visit => visit._id);
+  const [users, settings, context] = await Promise.all([
+    User.find({ _id: { $in: viewerIds } }).select(USER_SUMMARY_FIELDS).lean(),
+    getSettingsForUsers(viewerIds),
+    getViewerContext(userId)
+  ]);
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  await loadAccountStates(context, viewerIds);
+
+  return visits
+    .filter(visit => {
+      const id = visit._id.toString();
+      return usersById.has(id) && settings.get(id).profileViews.showViewers && !isHiddenUser(context, id);
+    })
+    .slice(0, RECENT_VIEWERS_LIMIT)
+    .map(visit => ({
+      user: usersById.get(visit._id.toString()),
+      visits: visit.visits,
+      lastViewedAt: visit.lastViewedAt
+    }));
+};
+
+// Profile view analytics for the last `days` days in the owner's time zone
+export const getProfileViewStats = async (userId, { days = 30 } = {}) => {
+  const { timezone, profileViews } = await getUserSettings(userId);
+  const dayList = lastDays(days, timezone);
+  const since = dayList[0];
+  const match = { profileId: userId, day: { $gte: since } };
+
+  const [daily, referrers, uniqueViewers, recentViewers] = await Promise.all([
+    ProfileView.aggregate([
+      { $match: match },
+      { $group: { _id: '$day', views: { $sum: 1 } } }
+    ]),
+    ProfileView.aggregate([
+      { $match: match },
+      { $group: { _id: '$source', views: { $sum: 1 } } },
+      { $sort: { views: -1 } }
+    ]),
+    ProfileView.distinct('viewerId', match),
+    profileViews.showViewers ? getRecentViewers(userId, since) : null
+  ]);
+
+  const viewsByDay = new Map(daily.map(entry => [entry._id, entry.views]));
+  const dailyViews = dayList.map(day => ({ date: day, views: viewsByDay.get(day) || 0 }));
+
+  return {
+    days,
+    timezone,
+    totalViews: dailyViews.reduce((sum, entry) => sum + entry.views, 0),
+    uniqueViewers: uniqueViewers.length,
+    daily: dailyViews,
+    topReferrers: referrers.map(entry => ({ source: entry._id, views: entry.views })),
+    showViewers: profileViews.showViewers,
+    recentViewers
+  };
+};
@@ -0,0 +1,123 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+import Device from '../models/Device.js';
+import { authEvents } from './authEvents.js';
+
+dotenv.config();
+
+const STALE_DAYS = parseInt(process.env.PUSH_TOKEN_STALE_DAYS) || 60;
+const CLEANUP_INTERVAL_MINUTES = 24 * 60;
+
+// Push providers, selected by PUSH_PROVIDER. Like the OTP providers every one
+// exposes { name, send: async (device, { title, body, data }) => ({ status, invalidToken? }) }.
+const providers = {
+  // Prints the notification; default so development never needs FCM credentials
+  console: {
+    name: 'console',
+    send: async (device, { title, body }) => {
+      console.log(`🔔 Push to ${device.platform} device of ${device.userId}: ${title} - ${body}`);
+      return { status: true };
+    }
+  },
+  // Firebase Cloud Messaging HTTP v1 API
+  fcm: {
+    name: 'fcm',
+    send: async (device, { title, body, data = {} }) => {
+      const res = await axios.post(
+        `https://fcm.googleapis.com/v1/projects/${process.env.FCM_PROJECT_ID}/messages:send`,
+        {
+          message: {
+            token: device.token,
+            notification: { title, body },
+            // FCM only accepts string values in the data payload
+            data: Object.fromEntries(Object.entries(data).map(([key, value]) => [key, String(value)]))
+          }
+        },
+        {
+          headers: { Authorization: `Bearer ${process.env.FCM_ACCESS_TOKEN}` },
+          validateStatus: () => true
+        }
+      );
+
+      const errorStatus = res.data?.error?.status;
+      return {
+        status: res.status >= 200 && res.status < 300,
+        invalidToken: res.status === 404 || errorStatus === 'UNREGISTERED' || errorStatus === 'INVALID_ARGUMENT'
+      };
+    }
+  }
+};
+
+const getPushProvider = () => {
+  const name = process.env.PUSH_PROVIDER || 'console';
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown push provider: ${name}`);
+  }
+  return provider;
+};
+
+// Adds or refreshes a push token. A token already registered to another
+// account (e.g. after switching accounts on the same phone) moves to this one.
+export const registerDevice = (userId, { token, platform, appVersion = '', deviceId = '', deviceName = '', sessionId }) => {
+  return Device.findOneAndUpdate(
+    { token },
+    { userId, platform, appVersion, deviceId, deviceName, sessionId, lastSeenAt: new Date() },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+export const unregisterDevice = (userId, token) => {
+  return Device.findOneAndDelete({ userId, token });
+};
+
+export const getUserDevices = (userId) => {
+  return Device.find({ userId }).sort({ lastSeenAt: -1 });
+};
+
+// Delivers a notification to every registered device of the user.
+// Tokens the provider reports as invalid are removed.
+export const sendPushToUser = async (userId, payload) => {
+  const devices = await Device.find({ userId });
+  if (devices.length === 0) return { sent: 0, failed: 0 };
+
+  const provider = getPushProvider();
+  const results = await Promise.all(devices.map(async (device) => {
+    try {
+      return { device, ...(await provider.send(device, payload)) };
+    } catch (err) {
+      console.error(`Push delivery error (${provider.name}):`, err.message);
+      return { device, status: false };
+    }
+  }));
+
+  const invalidIds = results.filter(result => result.invalidToken).map(result => result.device._id);
+  if (invalidIds.length) {
+    await Device.deleteMany({ _id: { $in: invalidIds } });
+  }
+
+  const sent = results.filter(result => result.status).length;
+  return { sent, failed: results.length - sent };
+};
+
+export const removeStaleDevices = async () => {
+  const cutoff = new Date(Date.now() - STALE_DAYS * 24 * 60 * 60 * 1000);
+  const result = await Device.deleteMany({ lastSeenAt: { $lt: cutoff } });
+  return result.deletedCount;
+};
+
+export const startStaleDeviceCleanupJob = () => {
+  const timer = setInterval(() => {
+    removeStaleDevices().catch(err => console.error('Stale device cleanup error:', err.message));
+  }, CLEANUP_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+// A signed-out session must stop receiving pushes. A session replaced by a
+// new login on the same device keeps its token until the app re-registers.
+authEvents.on('sessionsRevoked', ({ sessionIds, reason }) => {
+  if (reason === 'replaced') return;
+  Device.deleteMany({ sessionId: { $in: sessionIds } })
+    .catch(err => console.error('Device cleanup error:', err.message));
+});
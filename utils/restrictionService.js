@@ -0,0 +1,72 @@
+import User, { USER_SUMMARY_FIELDS } from '../models/User.js';
+import Post from '../models/Post.js';
+import Chat from '../models/Chat.js';
+
+// Mute and restrict are softer than a block: the follow stays in place.
+//   mute      -> the user's posts and/or stories leave the muter's feeds
+//   restrict  -> comments on the restricter's posts need approval and
+//                messages go to the restricter's message requests folder
+
+export const setMute = async (userId, targetId, { posts, stories }) => {
+  await User.findByIdAndUpdate(userId, {
+    [posts ? '$addToSet' : '$pull']: { mutedPosts: targetId }
+  });
+  await User.findByIdAndUpdate(userId, {
+    [stories ? '$addToSet' : '$pull']: { mutedStories: targetId }
+  });
+};
+
+// Muted users, each with what is muted
+export const getMutedUsers = async (userId) => {
+  const user = await User.findById(userId)
+    .select('mutedPosts mutedStories')
+    .populate('mutedPosts', USER_SUMMARY_FIELDS)
+    .populate('mutedStories', USER_SUMMARY_FIELDS);
+
+  const muted = new Map();
+  user.mutedPosts.forEach(target => {
+    muted.set(target._id.toString(), { user: target, posts: true, stories: false });
+  });
+  user.mutedStories.forEach(target => {
+    const entry = muted.get(target._id.toString()) || { user: target, posts: false, stories: false };
+    entry.stories = true;
+    muted.set(target._id.toString(), entry);
+  });
+
+  return [...muted.values()];
+};
+
+export const isRestrictedBy = async (ownerId, userId) => {
+  return !!(await User.exists({ _id: ownerId, restrictedUsers: userId }));
+};
+
+// Recipients among `recipientIds` who restricted the sender
+export const getRestrictingRecipients = async (senderId, recipientIds) => {
+  const ids = await User.distinct('_id', { _id: { $in: recipientIds }, restrictedUsers: senderId });
+  return ids.map(String);
+};
+
+// Existing chats with the user move to the message requests folder; chats
+// they start later are created there (see POST /api/chat/start)
+export const restrictUser = async (userId, targetId) => {
+  await User.findByIdAndUpdate(userId, { $addToSet: { restrictedUsers: targetId } });
+  await Chat.updateMany(
+    { participants: { $all: [userId, targetId] } },
+    { $addToSet: { requestFolderFor: userId } }
+  );
+};
+
+// Lifting a restriction approves the user's pending comments on the
+// owner's posts and moves their chats back to the primary folder
+export const unrestrictUser = async (userId, targetId) => {
+  await User.findByIdAndUpdate(userId, { $pull: { restrictedUsers: targetId } });
+  await Post.updateMany(
+    { userId, 'comments.userId': targetId },
+    { $set: { 'comments.$[comment].pendingApproval': false } },
+    { arrayFilters: [{ 'comment.userId': targetId, 'comment.pendingApproval': true }] }
+  );
+  await Chat.updateMany(
+    { participants: { $all: [userId, targetId] } },
+    { $pull: { requestFolderFor: userId } }
+  );
+};
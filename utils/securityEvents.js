@@ -0,0 +1,12 @@
+import SecurityEvent from '../models/SecurityEvent.js';
+
+// Appends an entry to the user's security history
+export const recordSecurityEvent = (userId, type, req, metadata = {}) => {
+  return new SecurityEvent({
+    userId,
+    type,
+    ip: req?.ip || '',
+    userAgent: req?.header('User-Agent') || '',
+    metadata
+  }).save();
+};
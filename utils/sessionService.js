@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import Session from '../models/Session.js';
+import { sessionCache, getCacheKey } from './cache.js';
+import { authEvents } from './authEvents.js';
+
+dotenv.config();
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const LAST_USED_UPDATE_INTERVAL = 5 * 60 * 1000; // Throttle lastUsedAt writes to once per 5 minutes
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens look like `<sessionId>.<random>` so the session can be found
+// without storing the token itself.
+const buildRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+  return sessionId;
+};
+
+export const getClientInfo = (req) => ({
+  deviceId: req.body?.deviceId || req.header('X-Device-Id') || '',
+  deviceName: req.body?.deviceName || '',
+  userAgent: req.header('User-Agent') || '',
+  ip: req.ip
+});
+
+// Creates a session for the device, replacing any earlier session on it.
+// Returns { session, refreshToken }.
+export const createSession = async (userId, { deviceId, deviceName, userAgent, ip } = {}) => {
+  const resolvedDeviceId = deviceId || crypto.randomUUID();
+
+  const previous = await Session.find({ userId, deviceId: resolvedDeviceId, revokedAt: null }).select('_id');
+  if (previous.length > 0) {
+    await revokeSessions(previous.map(s => s._id), 'replaced');
+  }
+
+  const session = new Session({
+    userId,
+    deviceId: resolvedDeviceId,
+    deviceName: deviceName || '',
+    userAgent: userAgent || '',
+    ip: ip || '',
+    refreshTokenHash: 'pending',
+    expiresAt: refreshTokenExpiry()
+  });
+
+  const refreshToken = buildRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Exchanges a refresh token for a new one. Presenting an already rotated
+// token revokes the session, since it means the token was copied.
+// Returns { session, refreshToken } or { error }.
+export const rotateRefreshToken = async (refreshToken, { userAgent, ip } = {}) => {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return { error: 'Session expired or revoked' };
+  }
+
+  if (session.refreshTokenHash !== hashToken(refreshToken)) {
+    await revokeSessions([session._id], 'token_reuse');
+    return { error: 'Refresh token has already been used' };
+  }
+
+  const newRefreshToken = buildRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(newRefreshToken);
+  session.expiresAt = refreshTokenExpiry();
+  session.lastUsedAt = new Date();
+  if (userAgent) session.userAgent = userAgent;
+  if (ip) session.ip = ip;
+  await session.save();
+
+  return { session, refreshToken: newRefreshToken };
+};
+
+export const revokeSessions = async (sessionIds, reason = 'revoked') => {
+  if (sessionIds.length === 0) return 0;
+
+  const result = await Session.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  sessionIds.forEach(id => sessionCache.del(getCacheKey('session', id.toString())));
+  authEvents.emit('sessionsRevoked', {
+    sessionIds: sessionIds.map(id => id.toString()),
+    reason
+  });
+
+  return result.modifiedCount;
+};
+
+// Revokes every active session of the user except `exceptSessionId`
+export const revokeUserSessions = async (userId, { exceptSessionId, reason = 'revoked_all' } = {}) => {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await Session.find(query).select('_id');
+  await revokeSessions(sessions.map(s => s._id), reason);
+  return sessions.map(s => s._id.toString());
+};
+
+export const getActiveSessions = (userId) => {
+  return Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Checks that the session behind an access token is still active.
+// Results are cached briefly; revocation clears the cache entry.
+export const isSessionActive = async (sessionId, userId) => {
+  const cacheKey = getCacheKey('session', sessionId.toString());
+  let session = sessionCache.get(cacheKey);
+
+  if (!session) {
+    const doc = await Session.findById(sessionId).select('userId revokedAt expiresAt lastUsedAt').lean();
+    if (!doc) return false;
+
+    session = {
+      userId: doc.userId.toString(),
+      active: !doc.revokedAt && doc.expiresAt > new Date(),
+      lastUsedAt: new Date(doc.lastUsedAt).getTime()
+    };
+    sessionCache.set(cacheKey, session);
+  }
+
+  if (!session.active || session.userId !== userId.toString()) {
+    return false;
+  }
+
+  if (Date.now() - session.lastUsedAt > LAST_USED_UPDATE_INTERVAL) {
+    session.lastUsedAt = Date.now();
+    sessionCache.set(cacheKey, session);
+    Session.updateOne({ _id: sessionId }, { lastUsedAt: new Date() }).catch(err => {
+      console.error('Session lastUsedAt update error:', err);
+    });
+  }
+
+  return true;
+};
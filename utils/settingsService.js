@@ -0,0 +1,115 @@
+import User from '../models/User.js';
+import UserSettings, { NOTIFICATION_PREFERENCES } from '../models/UserSettings.js';
+import { userCache, getCacheKey } from './cache.js';
+
+// Settings every route and the socket layer consult instead of assuming
+// defaults. Reads are cached per user; invalidateUserCache() clears them.
+
+const SETTINGS_FIELDS = {
+  presence: ['showOnlineStatusTo', 'showLastSeenTo'],
+  privacy: ['whoCanMessage', 'whoCanComment', 'whoCanMention'],
+  profileViews: ['showViewers'],
+  notifications: NOTIFICATION_PREFERENCES
+};
+
+const settingsCacheKey = (userId) => getCacheKey('settings', userId.toString());
+
+const toSettings = (doc) => {
+  const { presence, privacy, profileViews, notifications, language, timezone } = doc.toObject();
+  return { presence, privacy, profileViews, notifications, language, timezone };
+};
+
+// Resolves to the user's settings, with defaults for anything never changed
+export const getUserSettings = async (userId) => {
+  const cached = userCache.get(settingsCacheKey(userId));
+  if (cached) return cached;
+
+  const doc = (await UserSettings.findOne({ userId })) || new UserSettings({ userId });
+  const settings = toSettings(doc);
+  userCache.set(settingsCacheKey(userId), settings);
+  return settings;
+};
+
+// Map of userId -> settings for several users at once
+export const getSettingsForUsers = async (userIds) => {
+  const ids = [...new Set(userIds.map(String))];
+  const docs = await UserSettings.find({ userId: { $in: ids } });
+  const settings = new Map(docs.map(doc => [doc.userId.toString(), toSettings(doc)]));
+
+  ids.filter(id => !settings.has(id)).forEach(id => {
+    settings.set(id, toSettings(new UserSettings({ userId: id })));
+  });
+  return settings;
+};
+
+// Applies a partial update such as { privacy: { whoCanMessage: 'followers' } }
+export const updateUserSettings = async (userId, changes) => {
+  const update = {};
+  Object.entries(SETTINGS_FIELDS).forEach(([section, fields]) => {
+    fields.filter(field => changes[section]?.[field] !== undefined).forEach(field => {
+      update[`${section}.${field}`] = changes[section][field];
+    });
+  });
+  ['language', 'timezone'].filter(field => changes[field] !== undefined).forEach(field => {
+    update[field] = changes[field];
+  });
+
+  const doc = await UserSettings.findOneAndUpdate(
+    { userId },
+    { $set: update },
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+  );
+  userCache.del(settingsCacheKey(userId));
+  return toSettings(doc);
+};
+
+// Whether a presence setting shows the owner's status to a viewer
+export const isPresenceVisibleTo = (audience, viewerFollowsOwner) => {
+  return audience === 'everyone' || (audience === 'followers' && viewerFollowsOwner);
+};
+
+// Removes isOnline and lastSeen from user summaries the viewer may not see.
+// `users` are plain objects (toJSON/toObject/lean) and are changed in place.
+// Without a viewer (public routes) only 'everyone' settings show presence.
+export const applyPresencePrivacy = async (viewerId, users) => {
+  const others = users.filter(user => user && String(user._id) !== String(viewerId));
+  if (others.length === 0) return users;
+
+  const [settings, viewer] = await Promise.all([
+    getSettingsForUsers(others.map(user => user._id)),
+    viewerId ? User.findById(viewerId).select('following').lean() : null
+  ]);
+  const following = new Set((viewer?.following || []).map(String));
+
+  others.forEach(user => {
+    const { presence } = settings.get(String(user._id));
+    const followsOwner = following.has(String(user._id));
+    if (!isPresenceVisibleTo(presence.showOnlineStatusTo, followsOwner)) delete user.isOnline;
+    if (!isPresenceVisibleTo(presence.showLastSeenTo, followsOwner)) delete user.lastSeen;
+  });
+  return users;
+};
+
+// Checks whoCanMessage, whoCanComment or whoCanMention of `ownerId` for
+// `actorId`. The owner always passes their own checks.
+export const canInteract = async (ownerId, actorId, setting) => {
+  if (String(ownerId) === String(actorId)) return true;
+
+  const { privacy } = await getUserSettings(ownerId);
+  switch (privacy[setting]) {
+    case 'everyone':
+      return true;
+    case 'followers':
+      return !!(await User.exists({ _id: ownerId, followers: actorId }));
+    case 'following':
+      return !!(await User.exists({ _id: ownerId, following: actorId }));
+    default:
+      return false;
+  }
+};
+
+// Notification types map to a preference of the same name, except the two
+// verification outcomes which share one
+export const getNotificationPreference = (type) => {
+  return type.startsWith('verification_') ? 'verification' : type;
+};
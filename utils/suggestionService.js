@@ -0,0 +1,170 @@
+import User, { USER_SUMMARY_FIELDS } from '../models/User.js';
+import CommunityPost from '../models/CommunityPost.js';
+import Service from '../models/Service.js';
+import FollowRequest from '../models/FollowRequest.js';
+import { getViewerContext } from './visibility.js';
+
+// Friend suggestions are scored from several signals; each candidate
+// collects the weight of every signal that points at them.
+const WEIGHTS = {
+  followsYou: 4,  // follows the viewer, not followed back
+  mutual: 3,      // per account the viewer follows that follows them
+  location: 2,
+  profession: 2,
+  community: 1,   // per community question liked, answered or asked
+  services: 1     // per service both have reviewed
+};
+
+// Upper bound on rows read per signal, so one busy account can't make a
+// single request expensive
+const CANDIDATE_POOL = 200;
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+export const SUGGESTIONS_DEFAULT_LIMIT = 10;
+export const SUGGESTIONS_MAX_LIMIT = 50;
+
+const describeReason = (candidate, viewer, mutualNames) => {
+  if (candidate.mutualIds.length) {
+    const name = mutualNames.get(candidate.mutualIds[0].toString());
+    const others = candidate.mutualIds.length - 1;
+    if (name) {
+      return others ? `Followed by ${name} and ${others} other${others > 1 ? 's' : ''}` : `Followed by ${name}`;
+    }
+  }
+  if (candidate.signals.has('followsYou')) return 'Follows you';
+  if (candidate.signals.has('location')) return `Also in ${viewer.location}`;
+  if (candidate.signals.has('profession')) return `Also works as ${viewer.profession}`;
+  if (candidate.signals.has('community')) return 'Active in your community threads';
+  if (candidate.signals.has('services')) return 'Reviewed the same services';
+  return 'Suggested for you';
+};
+
+// Resolves to [{ _id, username, profileImage, verifiedBadge, bio, mutualCount, reason }]
+export const getFriendSuggestions = async (userId, { limit = SUGGESTIONS_DEFAULT_LIMIT } = {}) => {
+  const [viewer, context, requested] = await Promise.all([
+    User.findById(userId).select('following followers location profession dismissedSuggestions'),
+    getViewerContext(userId),
+    FollowRequest.distinct('targetId', { requesterId: userId })
+  ]);
+
+  const excluded = new Set([
+    userId.toString(),
+    ...viewer.following.map(String),
+    ...context.blocked,
+    ...viewer.dismissedSuggestions.map(String),
+    ...requested.map(String)
+  ]);
+
+  const candidates = new Map();
+  const addSignal = (id, signal) => {
+    const key = String(id);
+    if (!id || excluded.has(key)) return null;
+
+    let candidate = candidates.get(key);
+    if (!candidate) {
+      candidate = { id: key, score: 0, mutualIds: [], signals: new Set() };
+      candidates.set(key, candidate);
+    }
+    candidate.score += WEIGHTS[signal];
+    candidate.signals.add(signal);
+    return candidate;
+  };
+
+  // Friends of friends
+  const followed = await User.find({ _id: { $in: viewer.following } })
+    .select('following')
+    .limit(CANDIDATE_POOL)
+    .lean();
+  followed.forEach(friend => {
+    friend.following.forEach(id => addSignal(id, 'mutual')?.mutualIds.push(friend._id));
+  });
+
+  viewer.followers.forEach(id => addSignal(id, 'followsYou'));
+
+  // Shared location or profession
+  for (const field of ['location', 'profession']) {
+    if (!viewer[field]) continue;
+    const sameField = await User.find({ [field]: viewer[field].trim() })
+      .collation(CASE_INSENSITIVE)
+      .select('_id')
+      .limit(CANDIDATE_POOL)
+      .lean();
+    sameField.forEach(user => addSignal(user._id, field));
+  }
+
+  // Community: people active on the viewer's questions, and authors of
+  // questions the viewer took part in
+  const [ownQuestions, joinedQuestions] = await Promise.all([
+    CommunityPost.find({ userId })
+      .select('likes.userId comments.userId comments.replies.userId')
+      .sort({ createdAt: -1 })
+      .limit(CANDIDATE_POOL)
+      .lean(),
+    CommunityPost.find({
+      userId: { $ne: userId },
+      $or: [{ 'likes.userId': userId }, { 'comments.userId': userId }, { 'comments.replies.userId': userId }]
+    })
+      .select('userId')
+      .limit(CANDIDATE_POOL)
+      .lean()
+  ]);
+  ownQuestions.forEach(post => {
+    const participants = new Set([
+      ...post.likes.map(like => like.userId),
+      ...post.comments.flatMap(comment => [comment.userId, ...comment.replies.map(reply => reply.userId)])
+    ].map(String));
+    participants.forEach(id => addSignal(id, 'community'));
+  });
+  joinedQuestions.forEach(post => addSignal(post.userId, 'community'));
+
+  // Reviews of the same services
+  const reviewedServices = await Service.find({ 'reviews.userId': userId })
+    .select('reviews.userId')
+    .limit(CANDIDATE_POOL)
+    .lean();
+  reviewedServices.forEach(service => {
+    new Set(service.reviews.map(review => String(review.userId))).forEach(id => addSignal(id, 'services'));
+  });
+
+  // Rank, then keep accounts that are active. Extra rows cover the ones filtered out.
+  const ranked = [...candidates.values()].sort((a, b) => b.score - a.score).slice(0, limit * 3);
+  const users = await User.find({
+    _id: { $in: ranked.map(candidate => candidate.id) },
+    status: 'active',
+    deletionScheduledFor: { $exists: false }
+  })
+    .select(`${USER_SUMMARY_FIELDS} bio`)
+    .lean();
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  const top = ranked.filter(candidate => usersById.has(candidate.id)).slice(0, limit);
+
+  const mutualNames = new Map((await User.find({
+    _id: { $in: top.filter(candidate => candidate.mutualIds.length).map(candidate => candidate.mutualIds[0]) }
+  }).select('username').lean()).map(user => [user._id.toString(), user.username]));
+
+  const suggestions = top.map(candidate => ({
+    ...usersById.get(candidate.id),
+    mutualCount: candidate.mutualIds.length,
+    reason: describeReason(candidate, viewer, mutualNames)
+  }));
+
+  // New accounts have few signals; fill up with other active users
+  if (suggestions.length < limit) {
+    const fill = await User.find({
+      _id: { $nin: [...excluded, ...suggestions.map(user => user._id.toString())] },
+      status: 'active',
+      deletionScheduledFor: { $exists: false }
+    })
+      .select(`${USER_SUMMARY_FIELDS} bio`)
+      .sort({ createdAt: -1 })
+      .limit(limit - suggestions.length)
+      .lean();
+    fill.forEach(user => suggestions.push({ ...user, mutualCount: 0, reason: 'Suggested for you' }));
+  }
+
+  return suggestions;
+};
+
+export const dismissSuggestion = (userId, dismissedUserId) => {
+  return User.findByIdAndUpdate(userId, { $addToSet: { dismissedSuggestions: dismissedUserId } });
+};
@@ -0,0 +1,20 @@
+import fs from 'fs';
+import path from 'path';
+
+// Deletes uploaded files by their public URL. Only files served from
+// /uploads are ours to delete; files already gone are ignored.
+export const removeUploads = async (urls) => {
+  const uploadsRoot = path.resolve('uploads');
+  await Promise.all(urls.filter(Boolean).map(async (url) => {
+    if (!url.startsWith('/uploads/')) return;
+    const file = path.resolve(url.slice(1));
+    if (!file.startsWith(uploadsRoot + path.sep)) return;
+    try {
+      await fs.promises.unlink(file);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Failed to remove upload ${file}:`, err.message);
+      }
+    }
+  }));
+};
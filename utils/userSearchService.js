@@ -0,0 +1,167 @@
+import User, { USER_SUMMARY_FIELDS } from '../models/User.js';
+import RecentSearch from '../models/RecentSearch.js';
+import { getViewerContext, getBlockedUserIds } from './visibility.js';
+import { escapeRegex } from './usernameService.js';
+
+// Rows read per candidate query; results are ranked in memory
+const SEARCH_POOL = 200;
+// Usernames sharing the first letter that are checked for typos
+const FUZZY_POOL = 500;
+const RECENT_SEARCH_LIMIT = 20;
+
+export const SEARCH_QUERY_MAX_LENGTH = 100;
+
+const RESULT_FIELDS = `${USER_SUMMARY_FIELDS} bio profession location`;
+
+// Boosts added on top of a text match, never on their own
+const BOOSTS = {
+  youFollow: 20,
+  verified: 10,
+  followsYou: 5
+};
+
+// Edit distance between two strings
+export const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const allowedTypos = (term) => (term.length <= 4 ? 1 : 2);
+
+const scoreField = (value, term) => {
+  const text = (value || '').toLowerCase();
+  if (!text) return 0;
+  if (text.startsWith(term)) return 30;
+  if (text.split(/\s+/).some(word => word.startsWith(term))) return 25;
+  if (text.includes(term)) return 15;
+  return 0;
+};
+
+// How well a user matches the (lowercased) search term; 0 means no match.
+// Exact > prefix > contains > typo on username, then profession/location.
+export const scoreUserMatch = (user, term) => {
+  const username = user.username.toLowerCase();
+  let score = 0;
+
+  if (username === term) {
+    score = 100;
+  } else if (username.startsWith(term)) {
+    score = 80;
+  } else if (username.includes(term)) {
+    score = 50;
+  } else if (term.length >= 3) {
+    // Compare against the whole handle and its prefix, so 'jhon' finds 'john_doe'
+    const distance = Math.min(
+      levenshtein(term, username),
+      levenshtein(term, username.slice(0, term.length))
+    );
+    if (distance <= allowedTypos(term)) {
+      score = 40 - distance * 10;
+    }
+  }
+
+  return Math.max(score, scoreField(user.profession, term), scoreField(user.location, term));
+};
+
+// Resolves to { users, total } for one page of ranked results
+export const searchUsers = async (viewerId, rawQuery, { page = 1, limit = 20 } = {}) => {
+  const term = rawQuery.trim().toLowerCase();
+  const pattern = escapeRegex(term);
+
+  const [context, viewer] = await Promise.all([
+    getViewerContext(viewerId),
+    User.findById(viewerId).select('followers')
+  ]);
+
+  const baseQuery = {
+    _id: { $nin: [...getBlockedUserIds(context), viewerId] },
+    status: 'active',
+    deletionScheduledFor: { $exists: false }
+  };
+
+  const [prefixMatches, textMatches, fuzzyCandidates] = await Promise.all([
+    User.find({ ...baseQuery, username: { $regex: `^${pattern}`, $options: 'i' } })
+      .select(RESULT_FIELDS)
+      .limit(SEARCH_POOL)
+      .lean(),
+    User.find({
+      ...baseQuery,
+      $or: [
+        { username: { $regex: pattern, $options: 'i' } },
+        { profession: { $regex: pattern, $options: 'i' } },
+        { location: { $regex: pattern, $options: 'i' } }
+      ]
+    })
+      .select(RESULT_FIELDS)
+      .limit(SEARCH_POOL)
+      .lean(),
+    term.length >= 3
+      ? User.find({ ...baseQuery, username: { $regex: `^${escapeRegex(term[0])}`, $options: 'i' } })
+        .select(RESULT_FIELDS)
+        .limit(FUZZY_POOL)
+        .lean()
+      : []
+  ]);
+
+  const followers = new Set(viewer.followers.map(String));
+  const candidates = new Map();
+  [...prefixMatches, ...textMatches, ...fuzzyCandidates].forEach(user => {
+    candidates.set(user._id.toString(), user);
+  });
+
+  const ranked = [];
+  candidates.forEach((user, id) => {
+    const match = scoreUserMatch(user, term);
+    if (!match) return;
+
+    const youFollow = context.following.has(id);
+    const followsYou = followers.has(id);
+    const score = match +
+      (youFollow ? BOOSTS.youFollow : 0) +
+      (user.verifiedBadge ? BOOSTS.verified : 0) +
+      (followsYou ? BOOSTS.followsYou : 0);
+
+    ranked.push({ ...user, youFollow, followsYou, score });
+  });
+
+  ranked.sort((a, b) => b.score - a.score || a.username.localeCompare(b.username));
+
+  const start = (page - 1) * limit;
+  return {
+    users: ranked.slice(start, start + limit).map(({ score, ...user }) => user),
+    total: ranked.length
+  };
+};
+
+// Saves the query at the top of the user's recent searches, keeping the newest few
+export const recordRecentSearch = async (userId, rawQuery) => {
+  const query = rawQuery.trim();
+  await RecentSearch.findOneAndUpdate(
+    { userId, query },
+    { $set: { updatedAt: new Date() } },
+    { upsert: true }
+  );
+
+  const stale = await RecentSearch.find({ userId })
+    .sort({ updatedAt: -1 })
+    .skip(RECENT_SEARCH_LIMIT)
+    .select('_id');
+  if (stale.length) {
+    await RecentSearch.deleteMany({ _id: { $in: stale.map(search => search._id) } });
+  }
+};
+
+export const getRecentSearches = (userId) => {
+  return RecentSearch.find({ userId }).sort({ updatedAt: -1 }).limit(RECENT_SEARCH_LIMIT);
+};
@@ -0,0 +1,144 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import ReservedHandle from '../models/ReservedHandle.js';
+import UsernameHistory from '../models/UsernameHistory.js';
+import { userCache, getCacheKey } from './cache.js';
+
+dotenv.config();
+
+const CHANGE_LIMIT = parseInt(process.env.USERNAME_CHANGE_LIMIT) || 2;
+const CHANGE_WINDOW_DAYS = parseInt(process.env.USERNAME_CHANGE_WINDOW_DAYS) || 14;
+// How long an old handle stays with its former owner before anyone can claim it
+const HOLD_DAYS = parseInt(process.env.USERNAME_HOLD_DAYS) || 14;
+
+export const USERNAME_MIN_LENGTH = 3;
+export const USERNAME_MAX_LENGTH = 30;
+export const USERNAME_RULES = 'Usernames are 3-30 characters of lowercase letters, numbers, periods and underscores, and cannot start or end with a period or contain two periods in a row';
+
+// Always reserved, on top of the admin-managed list
+const BUILT_IN_RESERVED = [
+  'admin', 'administrator', 'api', 'help', 'lykechat', 'moderator', 'official',
+  'root', 'security', 'support', 'system', 'me', 'profile', 'settings'
+];
+
+const RESERVED_CACHE_KEY = getCacheKey('handles', 'reserved');
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+export const normalizeUsername = (username) => String(username || '').trim().toLowerCase();
+
+// For using user input inside a username $regex
+export const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Returns an error message, or null when the format is valid
+export const validateUsernameFormat = (username) => {
+  if (username.length < USERNAME_MIN_LENGTH || username.length > USERNAME_MAX_LENGTH) {
+    return USERNAME_RULES;
+  }
+  if (!/^[a-z0-9._]+$/.test(username) || username.startsWith('.') || username.endsWith('.') || username.includes('..')) {
+    return USERNAME_RULES;
+  }
+  return null;
+};
+
+const getReservedHandles = async () => {
+  let handles = userCache.get(RESERVED_CACHE_KEY);
+  if (!handles) {
+    const entries = await ReservedHandle.find().select('handle type').lean();
+    handles = {
+      reserved: [...BUILT_IN_RESERVED, ...entries.filter(entry => entry.type === 'reserved').map(entry => entry.handle)],
+      blocked: entries.filter(entry => entry.type === 'blocked').map(entry => entry.handle)
+    };
+    userCache.set(RESERVED_CACHE_KEY, handles);
+  }
+  return handles;
+};
+
+export const invalidateReservedHandles = () => userCache.del(RESERVED_CACHE_KEY);
+
+// Returns { available, reason? } for the (normalized) username
+export const checkUsernameAvailability = async (username, userId) => {
+  const formatError = validateUsernameFormat(username);
+  if (formatError) {
+    return { available: false, reason: formatError };
+  }
+
+  const { reserved, blocked } = await getReservedHandles();
+  const bare = username.replace(/[._]/g, '');
+  if (reserved.includes(username) || reserved.includes(bare)) {
+    return { available: false, reason: 'This username is reserved' };
+  }
+  if (blocked.some(term => bare.includes(term.replace(/[._]/g, '')))) {
+    return { available: false, reason: 'This username is not allowed' };
+  }
+
+  const owner = await User.findOne({ username }).collation(CASE_INSENSITIVE).select('_id');
+  if (owner && owner._id.toString() !== userId?.toString()) {
+    return { available: false, reason: 'Username already exists' };
+  }
+
+  // Recently released handles are held for their former owner
+  const held = await UsernameHistory.findOne({
+    username,
+    createdAt: { $gt: new Date(Date.now() - HOLD_DAYS * 24 * 60 * 60 * 1000) }
+  }).sort({ createdAt: -1 });
+  if (held && held.userId.toString() !== userId?.toString()) {
+    return { available: false, reason: 'Username already exists' };
+  }
+
+  return { available: true };
+};
+
+// Returns { allowed, nextChangeAt? } for the change-frequency limit
+export const checkUsernameChangeAllowed = async (userId) => {
+  const windowStart = new Date(Date.now() - CHANGE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const changes = await UsernameHistory.find({ userId, createdAt: { $gt: windowStart } })
+    .sort({ createdAt: 1 })
+    .select('createdAt');
+
+  if (changes.length < CHANGE_LIMIT) {
+    return { allowed: true };
+  }
+
+  const nextChangeAt = new Date(changes[changes.length - CHANGE_LIMIT].createdAt.getTime() + CHANGE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  return { allowed: false, nextChangeAt };
+};
+
+export const recordUsernameChange = (userId, oldUsername, newUsername) => {
+  return new UsernameHistory({ userId, username: normalizeUsername(oldUsername), newUsername }).save();
+};
+
+// Free username for a new account, e.g. user3210ab12
+export const generateUsername = async (mobileNumber) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const suffix = Math.random().toString(36).slice(2, 6);
+    const username = `user${mobileNumber.slice(-4)}${suffix}`;
+    if (!(await User.exists({ username }))) {
+      return username;
+    }
+  }
+  return `user${new mongoose.Types.ObjectId().toString().slice(-10)}`;
+};
+
+// Resolves an id, current handle or old handle to { user, redirectedFrom? }
+// where user holds only _id and username
+export const findUserByIdOrHandle = async (identifier) => {
+  const select = '_id username';
+
+  if (mongoose.isValidObjectId(identifier)) {
+    const user = await User.findById(identifier).select(select);
+    if (user) return { user };
+  }
+
+  const username = normalizeUsername(identifier);
+  const user = await User.findOne({ username }).collation(CASE_INSENSITIVE).select(select);
+  if (user) return { user };
+
+  const history = await UsernameHistory.findOne({ username }).sort({ createdAt: -1 });
+  if (history) {
+    const renamed = await User.findById(history.userId).select(select);
+    if (renamed) return { user: renamed, redirectedFrom: username };
+  }
+
+  return { user: null };
+};
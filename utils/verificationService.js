@@ -0,0 +1,97 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import VerificationRequest from '../models/VerificationRequest.js';
+import { createNotification } from './notificationService.js';
+import { invalidateUserCache } from './cache.js';
+
+dotenv.config();
+
+// Documents are ID proofs, so they live outside uploads/ and are never
+// served statically; admins download them through /api/admin
+export const VERIFICATION_DOCS_DIR = process.env.VERIFICATION_DOCS_DIR || 'verification-docs';
+export const VERIFICATION_REAPPLY_DAYS = parseInt(process.env.VERIFICATION_REAPPLY_DAYS) || 30;
+export const MAX_VERIFICATION_DOCUMENTS = 5;
+
+// Removes files multer stored for a request that was then refused
+export const discardDocuments = async (paths) => {
+  await Promise.all(paths.filter(Boolean).map(file => fs.promises.rm(file, { force: true })));
+};
+
+// Returns null when the user may apply, otherwise { status, message, ... }
+export const checkVerificationRequestAllowed = async (user) => {
+  if (user.verifiedBadge) {
+    return { status: 400, message: 'Your account is already verified' };
+  }
+
+  const latest = await VerificationRequest.findOne({ userId: user._id }).sort({ createdAt: -1 });
+  if (latest?.status === 'pending') {
+    return { status: 409, message: 'You already have a verification request under review' };
+  }
+
+  if (latest?.status === 'rejected') {
+    const reapplyAt = new Date(latest.reviewedAt.getTime() + VERIFICATION_REAPPLY_DAYS * 24 * 60 * 60 * 1000);
+    if (reapplyAt > new Date()) {
+      return {
+        status: 429,
+        message: `You can apply again ${VERIFICATION_REAPPLY_DAYS} days after a rejection`,
+        reapplyAt
+      };
+    }
+  }
+
+  return null;
+};
+
+// Approves or rejects a pending request, updates the badge and tells the
+// user. Resolves to { request } or { error }.
+export const reviewVerificationRequest = async (requestId, adminId, { status, reason = '' }) => {
+  const request = await VerificationRequest.findOneAndUpdate(
+    { _id: requestId, status: 'pending' },
+    {
+      status,
+      reviewedBy: adminId,
+      reviewedAt: new Date(),
+      rejectionReason: status === 'rejected' ? reason : ''
+    },
+    { new: true }
+  );
+  if (!request) {
+    return { error: { status: 404, message: 'Pending verification request not found' } };
+  }
+
+  if (status === 'approved') {
+    await User.findByIdAndUpdate(request.userId, { verifiedBadge: true, verifiedBadgeAt: new Date() });
+    invalidateUserCache(request.userId.toString());
+  }
+
+  await createNotification({
+    userId: request.userId,
+    type: status === 'approved' ? 'verification_approved' : 'verification_rejected',
+    message: status === 'approved'
+      ? 'Your account is now verified'
+      : `Your verification request was not approved${reason ? `: ${reason}` : ''}`
+  });
+
+  return { request };
+};
+
+export const revokeVerifiedBadge = async (userId) => {
+  const user = await User.findByIdAndUpdate(userId, {
+    verifiedBadge: false,
+    $unset: { verifiedBadgeAt: 1 }
+  }, { new: true });
+
+  if (user) {
+    invalidateUserCache(userId.toString());
+  }
+  return user;
+};
+
+// Deletes matching requests together with their documents
+export const removeVerificationRequests = async (query) => {
+  const requests = await VerificationRequest.find(query).select('documents.path');
+  await discardDocuments(requests.flatMap(request => request.documents.map(document => document.path)));
+  await VerificationRequest.deleteMany({ _id: { $in: requests.map(request => request._id) } });
+  return requests.length;
+};
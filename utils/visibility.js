@@ -0,0 +1,302 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+import { unavailableAccountsFilter } from './accountStatus.js';
+
+// Single place that decides which posts a viewer may see. Every read path
+// (feed, single post, profile posts) and every interaction (like, comment,
+// share, report) goes through here.
+//
+//   own posts                -> always visible
+//   blocked (either way)     -> hidden
+//   type 'private'           -> owner only
+//   type 'followers'         -> followers only
+//   type 'close_friends'     -> users on the owner's close friends list
+//   private account          -> approved followers only
+//   inactive posts           -> owner only
+//   archived posts           -> owner only (kept out of feeds and profiles)
+//   deactivated, suspended
+//   or banned owner          -> hidden
+//
+// The block helpers are also used by chat, stories, services, community
+// and notifications, so a block applies the same way everywhere.
+
+const NOT_FOUND = { status: 404, message: 'Post not found' };
+
+// Loads the viewer's follow, block and mute relationships once per request
+export const getViewerContext = async (viewerId) => {
+  const [viewer, blockedBy, closeFriendOf] = await Promise.all([
+    User.findById(viewerId).select('following blockedUsers mutedPosts mutedStories'),
+    User.distinct('_id', { blockedUsers: viewerId }),
+    User.distinct('_id', { closeFriends: viewerId })
+  ]);
+
+  return {
+    viewerId: viewerId.toString(),
+    following: new Set((viewer?.following || []).map(String)),
+    blocked: new Set([...(viewer?.blockedUsers || []), ...blockedBy].map(String)),
+    // Deactivated, suspended and banned accounts among the users this
+    // request deals with; filled by loadAccountStates()
+    unavailable: new Set(),
+    // Users who have the viewer on their close friends list
+    closeFriendOf: new Set(closeFriendOf.map(String)),
+    // Mutes only affect the viewer's feeds, never profiles or direct links
+    mutedPosts: new Set((viewer?.mutedPosts || []).map(String)),
+    mutedStories: new Set((viewer?.mutedStories || []).map(String))
+  };
+};
+
+// Context for signed-out requests: no relationships, only the account
+// states loaded for the request
+export const getGuestContext = () => ({
+  viewerId: null,
+  following: new Set(),
+  blocked: new Set(),
+  unavailable: new Set(),
+  closeFriendOf: new Set(),
+  mutedPosts: new Set(),
+  mutedStories: new Set()
+});
+
+// Adds the accounts among `userIds` that are not active to the context.
+// Call it with the owners, authors and likers a request is about to check,
+// before isUnavailable(), isHiddenUser() or withoutBlockedUsers(). The
+// viewer is left out: their own content stays visible to them.
+export const loadAccountStates = async (context, userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean).map(id => String(id._id || id)))]
+    .filter(id => id !== context.viewerId);
+  if (ids.length === 0) return context;
+
+  const unavailable = await User.distinct('_id', { _id: { $in: ids }, ...unavailableAccountsFilter() });
+  unavailable.forEach(id => context.unavailable.add(String(id)));
+  return context;
+};
+
+// Users on a post, story or service: the owner and everyone who liked,
+// commented, replied, reviewed or viewed it. Accepts populated or plain
+// references.
+export const getParticipantIds = (item) => {
+  return [
+    item.userId,
+    ...(item.likes || []).map(like => like.userId),
+    ...(item.comments || []).flatMap(comment => [
+      comment.userId,
+      ...(comment.replies || []).map(reply => reply.userId)
+    ]),
+    ...(item.reviews || []).map(review => review.userId),
+    ...(item.viewers || []).map(viewer => viewer.userId)
+  ].filter(Boolean);
+};
+
+export const isBlockedEitherWay = (context, userId) => context.blocked.has(String(userId));
+
+export const isUnavailable = (context, userId) => context.unavailable.has(String(userId));
+
+export const isHiddenUser = (context, userId) => isBlockedEitherWay(context, userId) || isUnavailable(context, userId);
+
+// ObjectIds of everyone on either side of a block, for $nin filters
+export const getBlockedUserIds = (context) => {
+  return [...context.blocked].map(id => new mongoose.Types.ObjectId(id));
+};
+
+// Aggregation stages that keep only documents whose owner (userId) is an
+// active account. With hidePrivate, private accounts the viewer does not
+// follow are dropped too. The owner is looked up per document, so no list
+// of accounts is ever built.
+export const visibleOwnerStages = (context, { hidePrivate = false } = {}) => {
+  const viewerId = context.viewerId && new mongoose.Types.ObjectId(context.viewerId);
+  // The viewer's own content stays visible to them, as in checkAccountVisibility()
+  const available = { $nor: [unavailableAccountsFilter()] };
+  const conditions = [viewerId ? { $or: [{ _id: viewerId }, available] } : available];
+  if (hidePrivate) {
+    const allowed = [...context.following].map(id => new mongoose.Types.ObjectId(id));
+    if (viewerId) allowed.unshift(viewerId);
+    conditions.push({ $or: [{ isPrivate: { $ne: true } }, { _id: { $in: allowed } }] });
+  }
+  const ownerMatch = { $expr: { $eq: ['$_id', '$$ownerId'] }, $and: conditions };
+
+  return [
+    {
+      $lookup: {
+        from: User.collection.name,
+        let: { ownerId: '$userId' },
+        pipeline: [{ $match: ownerMatch }, { $project: { _id: 1 } }],
+        as: 'visibleOwner'
+      }
+    },
+    { $match: { 'visibleOwner.0': { $exists: true } } }
+  ];
+};
+
+// One page of a content list, as ObjectIds in order. `match` must already
+// use ObjectIds (aggregation does not cast). Load the documents with
+// inIdOrder() so populate chains stay the same as with find().
+export const findVisibleIds = async (Model, match, context, { sort, skip = 0, limit, hidePrivate = false }) => {
+  const rows = await Model.aggregate([
+    { $match: match },
+    { $sort: sort },
+    ...visibleOwnerStages(context, { hidePrivate }),
+    { $skip: skip },
+    { $limit: limit },
+    { $project: { _id: 1 } }
+  ]);
+  return rows.map(row => row._id);
+};
+
+// Number of documents in a content list, counted like findVisibleIds() pages
+export const countVisible = async (Model, match, context, { hidePrivate = false } = {}) => {
+  const [result] = await Model.aggregate([
+    { $match: match },
+    ...visibleOwnerStages(context, { hidePrivate }),
+    { $count: 'total' }
+  ]);
+  return result?.total || 0;
+};
+
+// Documents loaded by _id, returned in the order of `ids`
+export const inIdOrder = (docs, ids) => {
+  const byId = new Map(docs.map(doc => [doc._id.toString(), doc]));
+  return ids.map(id => byId.get(id.toString())).filter(Boolean);
+};
+
+// Drops likes, comments, replies or viewers made by users on either side
+// of a block or by accounts that are not active. Accepts populated or
+// plain userId references.
+export const withoutBlockedUsers = (context, items) => {
+  return items.filter(item => !isHiddenUser(context, item.userId?._id || item.userId));
+};
+
+// Same for a comment thread: blocked users' comments and replies are dropped
+export const withoutBlockedComments = (context, comments) => {
+  return withoutBlockedUsers(context, comments).map(comment => {
+    const commentObj = typeof comment.toObject === 'function' ? comment.toObject() : comment;
+    return { ...commentObj, replies: withoutBlockedUsers(context, commentObj.replies || []) };
+  });
+};
+
+// Comments visible to the viewer on a post: blocked users are dropped, and
+// comments pending approval are shown only to the post owner and the commenter
+export const getVisibleComments = (context, comments, postOwnerId) => {
+  const isOwner = String(postOwnerId?._id || postOwnerId) === context.viewerId;
+  return withoutBlockedComments(context, comments).filter(comment =>
+    !comment.pendingApproval || isOwner || String(comment.userId?._id || comment.userId) === context.viewerId
+  );
+};
+
+// For one-off checks between two users, without loading a full context
+export const isBlockedBetween = async (userId, otherUserId) => {
+  const count = await User.countDocuments({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId }
+    ]
+  });
+  return count > 0;
+};
+
+// Returns null when the viewer may see the account's content, otherwise
+// { status, message }. `owner` needs _id and isPrivate.
+export const checkAccountVisibility = (context, owner) => {
+  const ownerId = String(owner._id);
+  if (ownerId === context.viewerId) return null;
+
+  if (isUnavailable(context, ownerId)) {
+    return { status: 404, message: 'User not found' };
+  }
+  if (isBlockedEitherWay(context, ownerId)) {
+    return { status: 403, message: 'Access denied' };
+  }
+  if (owner.isPrivate && !context.following.has(ownerId)) {
+    return { status: 403, message: 'This account is private' };
+  }
+
+  return null;
+};
+
+// Same contract as checkAccountVisibility, for a single post
+export const checkPostVisibility = (context, post, owner) => {
+  if (String(owner._id) === context.viewerId) return null;
+  if (!post.isActive || post.isArchived || isUnavailable(context, owner._id)) return NOT_FOUND;
+
+  const accountDenied = checkAccountVisibility(context, owner);
+  if (accountDenied) return accountDenied;
+
+  if (post.type === 'private') return NOT_FOUND;
+  if (post.type === 'followers' && !context.following.has(String(owner._id))) {
+    return { status: 403, message: 'Only followers can see this post' };
+  }
+  if (post.type === 'close_friends' && !context.closeFriendOf.has(String(owner._id))) {
+    return NOT_FOUND;
+  }
+
+  return null;
+};
+
+// Stories are for followers; 'close_friends' stories only for users on the
+// owner's list. Same contract as checkAccountVisibility.
+export const checkStoryVisibility = (context, story) => {
+  const ownerId = String(story.userId?._id || story.userId);
+  if (ownerId === context.viewerId) return null;
+
+  if (isUnavailable(context, ownerId)) {
+    return { status: 404, message: 'Story not found' };
+  }
+  if (isBlockedEitherWay(context, ownerId) || !context.following.has(ownerId)) {
+    return { status: 403, message: 'Access denied' };
+  }
+  if (story.audience === 'close_friends' && !context.closeFriendOf.has(ownerId)) {
+    return { status: 404, message: 'Story not found' };
+  }
+
+  return null;
+};
+
+// MongoDB filter for the post types the viewer may see. The owner's
+// account (private, not active) is not part of it: lists page through
+// findVisibleIds(..., { hidePrivate: true }), single owners go through
+// checkAccountVisibility().
+export const getVisiblePostsFilter = (context) => {
+  const viewerId = new mongoose.Types.ObjectId(context.viewerId);
+  const following = [...context.following].map(id => new mongoose.Types.ObjectId(id));
+  const closeFriendOf = [...context.closeFriendOf].map(id => new mongoose.Types.ObjectId(id));
+
+  return {
+    $or: [
+      { userId: viewerId },
+      {
+        isActive: true,
+        isArchived: { $ne: true },
+        userId: { $nin: getBlockedUserIds(context) },
+        $or: [
+          { type: { $in: ['public', 'followers'] }, userId: { $in: following } },
+          { type: 'public' },
+          { type: 'close_friends', userId: { $in: closeFriendOf } }
+        ]
+      }
+    ]
+  };
+};
+
+// Loads a post for an interaction. Resolves to { post } or { error }.
+export const getPostForViewer = async (viewerId, postId) => {
+  if (!mongoose.isValidObjectId(postId)) {
+    return { error: NOT_FOUND };
+  }
+
+  const post = await Post.findById(postId);
+  if (!post) {
+    return { error: NOT_FOUND };
+  }
+
+  const [context, owner] = await Promise.all([
+    getViewerContext(viewerId),
+    User.findById(post.userId).select('isPrivate')
+  ]);
+  if (!owner) {
+    return { error: NOT_FOUND };
+  }
+  await loadAccountStates(context, [owner._id]);
+
+  const error = checkPostVisibility(context, post, owner);
+  return error ? { error } : { post };
+};
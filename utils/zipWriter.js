@@ -0,0 +1,97 @@
+import fs from 'fs';
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+const deflateRaw = promisify(zlib.deflateRaw);
+
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Minimal streaming ZIP writer (deflate, UTF-8 names, no ZIP64).
+// Entries are compressed one at a time so only a single file is held in memory.
+export const createZipWriter = (filePath) => {
+  const stream = fs.createWriteStream(filePath);
+  const entries = [];
+  let offset = 0;
+
+  const write = (buffer) => new Promise((resolve, reject) => {
+    stream.write(buffer, (err) => (err ? reject(err) : resolve()));
+    offset += buffer.length;
+  });
+
+  const addFile = async (name, content) => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    const compressed = await deflateRaw(data);
+    const nameBuffer = Buffer.from(name);
+    const { time, date } = toDosDateTime(new Date());
+    const entry = {
+      nameBuffer,
+      crc: zlib.crc32(data),
+      compressedSize: compressed.length,
+      size: data.length,
+      time,
+      date,
+      offset
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed
+    header.writeUInt16LE(0x0800, 6); // UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    await write(header);
+    await write(nameBuffer);
+    await write(compressed);
+    entries.push(entry);
+  };
+
+  const finalize = async () => {
+    const centralOffset = offset;
+
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4); // version made by
+      header.writeUInt16LE(20, 6); // version needed
+      header.writeUInt16LE(0x0800, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+
+      await write(header);
+      await write(entry.nameBuffer);
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - centralOffset, 12);
+    end.writeUInt32LE(centralOffset, 16);
+    await write(end);
+
+    await new Promise((resolve, reject) => {
+      stream.end((err) => (err ? reject(err) : resolve()));
+    });
+    return offset;
+  };
+
+  const abort = () => stream.destroy();
+
+  return { addFile, finalize, abort };
+};